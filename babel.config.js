@@ -0,0 +1,16 @@
+/**
+ * Babel config for the bundles and the tests.
+ * Bundles are compiled to ES5, tests run in the current version of Node.js.
+ */
+module.exports = function(api) {
+	const isTest = api.env('test');
+
+	return {
+		presets: [
+			[
+				'@babel/preset-env',
+				isTest ? { targets: { node: 'current' } } : { targets: 'ie 9', loose: true, modules: false }
+			]
+		]
+	};
+};
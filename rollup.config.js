@@ -3,6 +3,7 @@ import nodeResolve from 'rollup-plugin-node-resolve';
 import commonjs from 'rollup-plugin-commonjs';
 import { terser } from 'rollup-plugin-terser';
 import license from 'rollup-plugin-license';
+import babel from 'rollup-plugin-babel';
 
 /**
  * Creates a copyright banner for our bundles
@@ -26,17 +27,33 @@ function banner(polyfill = false) {
 	return { banner: text };
 }
 
+/**
+ * Compiles the source code to ES5, bundles still support older browsers.
+ * See babel.config.js for the presets.
+ */
+function compile() {
+	return babel({ exclude: 'node_modules/**' });
+}
+
 // Rollup exports multiple bundles
 export default [
-	// ES6 Module bundle for modern web apps
+	// ES6 Module bundle for modern web apps, with named exports
 	{
-		input: 'src/scroll-reaction.js',
+		input: 'src/index.js',
 		output: {
 			file: 'dist/scroll-reaction.es.js',
-			name: 'ScrollReaction',
 			format: 'es'
 		},
-		plugins: [license(banner())]
+		plugins: [compile(), license(banner())]
+	},
+	// ES6 Module bundle with smooth scroll polyfill, imported from 'scroll-reaction/polyfill'
+	{
+		input: 'src/index-with-polyfill.js',
+		output: {
+			file: 'dist/scroll-reaction-with-polyfill.es.js',
+			format: 'es'
+		},
+		plugins: [nodeResolve(), commonjs(), compile(), license(banner(true))]
 	},
 	// Unmnified UMD bundle for Node.js and build tools
 	{
@@ -46,7 +63,7 @@ export default [
 			name: 'ScrollReaction',
 			format: 'umd'
 		},
-		plugins: [nodeResolve(), commonjs(), license(banner())]
+		plugins: [nodeResolve(), commonjs(), compile(), license(banner())]
 	},
 	// Minified UMD bundle for modern browsers
 	{
@@ -56,7 +73,7 @@ export default [
 			name: 'ScrollReaction',
 			format: 'umd'
 		},
-		plugins: [nodeResolve(), commonjs(), terser(), license(banner())]
+		plugins: [nodeResolve(), commonjs(), compile(), terser(), license(banner())]
 	},
 	// Minified UMD bundle with smooth scroll polyfill for browsers
 	{
@@ -66,6 +83,6 @@ export default [
 			name: 'ScrollReaction',
 			format: 'umd'
 		},
-		plugins: [nodeResolve(), commonjs(), terser(), license(banner(true))]
+		plugins: [nodeResolve(), commonjs(), compile(), terser(), license(banner(true))]
 	}
 ];
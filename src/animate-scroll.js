@@ -0,0 +1,95 @@
+import easings from './easings.js';
+
+/**
+ * Helper function: animates the scroll position of the window or an element
+ * The animation is cancelled, if the user starts scrolling on their own
+ * (mouse wheel, touch or keyboard). Events, whose default action has been prevented,
+ * don't scroll and are ignored, e.g. wheel events, which are handled in paging mode.
+ * @param {Window} win Window, which contains the scrolling element
+ * @param {Window|HTMLElement} container Scrolling element
+ * @param {String} axis Scroll direction, 'x' or 'y'
+ * @param {Number} endPosition Scroll position in pixels
+ * @param {Number} duration Length of the animation in milliseconds
+ * @param {String|Function} easing Name of an easing function or a custom easing function
+ * @param {Function} callback Receives true if the position has been reached, false if cancelled
+ * @returns {Function} Cancels the animation
+ */
+export default function(win, container, axis, endPosition, duration, easing, callback) {
+	var property = axis == 'x' ? 'scrollLeft' : 'scrollTop';
+	var startPosition = container === win ? (axis == 'x' ? win.scrollX : win.scrollY) : container[property];
+	var distance = endPosition - startPosition;
+	var ease = typeof easing === 'function' ? easing : easings[easing] || easings.linear;
+	// Events, which indicate that the user wants to scroll on their own
+	var userEvents = ['wheel', 'touchstart', 'keydown', 'mousedown'];
+	var startTime = null;
+	var isDone = false;
+	var frame;
+
+	// Older browsers don't support animation frames, a timeout of a similar length is used instead
+	var requestFrame = function(callback) {
+		if (win.requestAnimationFrame) return win.requestAnimationFrame(callback);
+		return win.setTimeout(function() {
+			callback(Date.now());
+		}, 16);
+	};
+
+	// Set the scroll position, the position on the other axis stays the same
+	var setPosition = function(position) {
+		if (container !== win) {
+			container[property] = position;
+		} else if (axis == 'x') {
+			win.scrollTo(position, win.scrollY);
+		} else {
+			win.scrollTo(win.scrollX, position);
+		}
+	};
+
+	// Stop the animation and clean up
+	var stop = function(completed) {
+		// The animation can only stop once
+		if (isDone) return;
+		isDone = true;
+
+		if (win.cancelAnimationFrame) win.cancelAnimationFrame(frame);
+		else win.clearTimeout(frame);
+		for (var u = 0; u < userEvents.length; u++) {
+			win.removeEventListener(userEvents[u], cancel);
+		}
+		callback(completed);
+	};
+
+	// Cancel the animation, e.g. if the user starts scrolling
+	var cancel = function(event) {
+		if (event && event.defaultPrevented) return;
+		stop(false);
+	};
+
+	// Calculate and set the position for each frame
+	var step = function(time) {
+		// The first frame starts the animation
+		if (startTime === null) {
+			startTime = time;
+			// Listen for user events from now on
+			// Otherwise the event, which has started the animation, may cancel it immediately
+			for (var u = 0; u < userEvents.length; u++) {
+				win.addEventListener(userEvents[u], cancel);
+			}
+		}
+
+		// Progress of the animation (0-1)
+		var progress = duration > 0 ? Math.min((time - startTime) / duration, 1) : 1;
+
+		setPosition(startPosition + distance * ease(progress));
+
+		// Request the next frame or finish the animation
+		if (progress < 1) {
+			frame = requestFrame(step);
+		} else {
+			stop(true);
+		}
+	};
+
+	frame = requestFrame(step);
+
+	return cancel;
+}
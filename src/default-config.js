@@ -29,6 +29,228 @@ export default {
 	 */
 	attributeCurrent: 'data-scroll-active',
 
+	/**
+	 * This attribute will be added to listener elements of emitter elements, which contain the active emitter element.
+	 * Emitter elements are nested, if their elements are nested in the DOM, e.g. subsections inside a chapter.
+	 * This way a multi-level navigation can highlight the chapter of the active subsection as well.
+	 * By default (= false) no attribute will be added.
+	 * @type {Boolean|String}
+	 *
+	 * @example
+	 * attributeAncestor: 'data-scroll-ancestor'
+	 * <section id="chapter-1"><section id="section-1-1">...</section></section>
+	 * a[data-scroll-ancestor] + ul { display: block; }
+	 */
+	attributeAncestor: false,
+
+	/**
+	 * This attribute will be added to listener elements as well.
+	 * Its value is the state of the linked emitter element:
+	 * 'past' (already passed), 'current' (active) or 'future' (not reached yet).
+	 * By default (= false) no attribute will be added.
+	 * @type {Boolean|String}
+	 *
+	 * @example
+	 * attributeState: 'data-scroll-state'
+	 * a[data-scroll-state="past"] { ... }
+	 */
+	attributeState: false,
+
+	/**
+	 * These classes will be added to listener elements,
+	 * depending on the state of the linked emitter element.
+	 * Pass an object with a class name for each state you need.
+	 * By default (= false) no class will be added.
+	 * @type {Boolean|Object}
+	 *
+	 * @example
+	 * classState: { past: 'is-past', current: 'is-active', future: 'is-upcoming' }
+	 */
+	classState: false,
+
+	/**
+	 * Should listener elements of the active emitter element receive the aria-current attribute?
+	 * This tells assistive technology, which navigation item belongs to the visible section.
+	 * Set this option to true to use aria-current="location" or pass another value, e.g. 'true'.
+	 * By default (= false) no attribute will be added.
+	 * @type {Boolean|String}
+	 */
+	ariaCurrent: false,
+
+	/**
+	 * Should screen readers announce, whenever another emitter element becomes active?
+	 * If this option is set to true, the text of the first heading inside the emitter element
+	 * (or its aria-label) is announced through a visually hidden, polite live region.
+	 * Pass a function to return your own text, it receives the same details as the activate callback.
+	 * By default (= false) nothing will be announced.
+	 * @type {Boolean|function}
+	 *
+	 * @example
+	 * announce: function(details) { return 'Now reading: ' + details.emitter.dataset.title; }
+	 */
+	announce: false,
+
+	/**
+	 * Should emitter elements be marked as well?
+	 * If this option is set to true, emitter elements receive the same attributes and classes
+	 * as their listener elements (see attributeCurrent, attributeState and classState).
+	 * @type {Boolean}
+	 */
+	markEmitters: false,
+
+	/**
+	 * Prefix of the attributes for scroll-driven animations.
+	 * Elements with a -from or -to attribute are animated between both keyframes, while the user scrolls.
+	 * Only numeric values are interpolated, transform functions (e.g. translateY) are combined.
+	 * The animation starts, when the element enters the viewport, and ends, when it has left the viewport.
+	 * Use the -start and -end attributes to pass other scroll positions in pixels
+	 * and the -easing attribute to pass the name of a built-in easing function.
+	 * Set this option to false to ignore these attributes. The animate method works anyway.
+	 * @type {Boolean|String}
+	 *
+	 * @example
+	 * <img data-scroll-from="opacity: 0; translateY: 40px" data-scroll-to="opacity: 1; translateY: 0" data-scroll-end="600">
+	 */
+	attributeKeyframes: 'data-scroll',
+
+	/**
+	 * Prefix of the attributes for options of single listener or emitter elements, which override the config.
+	 * Emitter elements: -offset and -offset-bottom replace offsetTop and offsetBottom in pixels,
+	 * -visible makes the element active, while it is visible (like the multiple config option),
+	 * and -once keeps it active, once it has been reached (like rewind: false).
+	 * Listener elements: -current replaces attributeCurrent (an empty value means no attribute)
+	 * and -once keeps the listener element active, once its emitter element has been active.
+	 * Attributes are read on refresh. Offsets and -visible have no effect with detection: 'intersection'.
+	 * Set this option to false to ignore these attributes.
+	 * @type {Boolean|String}
+	 *
+	 * @example
+	 * <section id="intro" data-scroll-offset="200" data-scroll-once>...</section>
+	 * <a href="#intro" data-scroll-reaction data-scroll-current="data-visited">...</a>
+	 */
+	attributeOptions: 'data-scroll',
+
+	/**
+	 * Should the instance be initialized automatically?
+	 * Set this option to false, if you want to call the init method yourself,
+	 * e.g. when a route of your single page app has been mounted.
+	 * @type {Boolean}
+	 */
+	autoInit: true,
+
+	/**
+	 * Scroll direction to react to: vertical (= 'y') or horizontal (= 'x').
+	 * On the horizontal axis, offsetTop and offsetBottom refer to the left and the right edge
+	 * and windowBottomOffset refers to the right end of the container.
+	 * @type {'x'|'y'}
+	 */
+	axis: 'y',
+
+	/**
+	 * The element that scrolls, if it isn't the whole page.
+	 * Pass an element or a valid selector, e.g. for a scrollable panel with overflow: auto.
+	 * Emitter positions, the scroll listener and smooth scrolling
+	 * will be relative to this element.
+	 * By default (= null) the window is used.
+	 * @type {null|String|HTMLElement}
+	 *
+	 * @example
+	 * <main id="panel" style="overflow: auto">...</main>
+	 * container: '#panel'
+	 */
+	container: null,
+
+	/**
+	 * The window, which contains listener and emitter elements.
+	 * Pass a window to run the script outside of a browser, e.g. with jsdom.
+	 * By default (= null) the global window is used.
+	 * If there is no window (e.g. during server-side rendering), nothing happens on construction.
+	 * Call the init method later, when the DOM is available.
+	 * @type {null|Window}
+	 *
+	 * @example
+	 * const dom = new JSDOM(html);
+	 * window: dom.window
+	 */
+	window: null,
+
+	/**
+	 * The document, which contains listener and emitter elements.
+	 * By default (= null) the document of the window is used.
+	 * @type {null|Document}
+	 */
+	document: null,
+
+	/**
+	 * How should emitter elements be detected?
+	 * By default (= 'scroll') the positions of emitter elements are cached and compared on each update.
+	 * They are measured again on resize and refresh, if an emitter element or the page changes its size
+	 * (in browsers with resize observers) and after images or fonts have been loaded.
+	 * Set this option to 'intersection' to use intersection observers instead.
+	 * Offsets will be recalculated on resize and refresh only.
+	 * Falls back to 'scroll', if the browser doesn't support intersection observers.
+	 * @type {'scroll'|'intersection'}
+	 */
+	detection: 'scroll',
+
+	/**
+	 * This attribute will be added to the container (or the html element),
+	 * whenever the scroll direction changes.
+	 * Its value is 'up' or 'down' ('left' or 'right' on the horizontal axis).
+	 * By default (= false) no attribute will be added.
+	 * @type {Boolean|String}
+	 *
+	 * @example
+	 * attributeDirection: 'data-scroll-direction'
+	 * [data-scroll-direction="down"] header { ... }
+	 */
+	attributeDirection: false,
+
+	/**
+	 * The scroll direction only changes, if the user scrolls back more than this distance in pixels.
+	 * This prevents tiny jitters from changing the direction.
+	 * @type {Number}
+	 */
+	directionTolerance: 10,
+
+	/**
+	 * Should the URL hash follow the active emitter element while scrolling?
+	 * Set this option to 'replace' to keep a single history entry
+	 * or to 'push' to add a history entry for each visited emitter element.
+	 * Back and forward navigation and hash changes will scroll to the target,
+	 * respecting the top offset. This also corrects the position after loading a page with a page anchor.
+	 * By default (= false) the hash only changes, when the user clicks on a listener link.
+	 * @type {Boolean|'replace'|'push'}
+	 */
+	history: false,
+
+	/**
+	 * Should the user be able to jump between emitter elements with the keyboard?
+	 * Set this option to true to scroll to the next emitter element with "j"
+	 * and to the previous one with "k".
+	 * Pass an object to choose your own keys (see KeyboardEvent.key).
+	 * Keys are ignored, while the focus is inside a form field.
+	 * By default (= false) no keys are bound.
+	 * @type {Boolean|Object}
+	 *
+	 * @example
+	 * keyboard: { next: ['j', 'PageDown'], previous: ['k', 'PageUp'] }
+	 */
+	keyboard: false,
+
+	/**
+	 * Should each emitter element be a page, e.g. a slide of a full-screen presentation?
+	 * If this option is set to true, a single wheel movement, swipe or arrow key scrolls exactly one page
+	 * (the next or the previous emitter element). After the user has stopped scrolling,
+	 * the nearest emitter element is snapped into place. Pages larger than the viewport are scrolled normally.
+	 * Snapping is skipped, if the user prefers reduced motion, and everything is left to the browser,
+	 * if the container uses CSS scroll snapping (scroll-snap-type).
+	 * The page property contains the index of the active emitter element, pagechange callbacks are called, when it changes.
+	 * By default (= false) scrolling isn't changed.
+	 * @type {Boolean}
+	 */
+	paging: false,
+
 	/**
 	 * By default only one emitter element can be active at any given time.
 	 * This is always the latest element, which has been reached by the user.
@@ -37,6 +259,16 @@ export default {
 	 */
 	multiple: false,
 
+	/**
+	 * Should listener and emitter elements be tracked automatically?
+	 * By default you have to call the refresh method,
+	 * whenever listener or emitter elements are added to or removed from the DOM.
+	 * If this option is set to true, a mutation observer watches the document for changes
+	 * and only updates the affected elements.
+	 * @type {Boolean}
+	 */
+	observe: false,
+
 	/**
 	 * Top offset for detecting emitter elements inside the viewport.
 	 * If your listener element should receive its attribute earlier,
@@ -58,6 +290,34 @@ export default {
 	 */
 	offsetBottom: 5,
 
+	/**
+	 * Fixed or sticky elements, which cover the top of the page, e.g. a header or a banner.
+	 * Pass an element, a valid selector or an array of both.
+	 * Their current height is added to the top offset, but only while they cover the top edge:
+	 * Sticky elements count, if they are stuck, collapsing headers count with their collapsed height.
+	 * The offset is updated, whenever the elements change their size (in browsers with resize observers).
+	 * By default (= null) only offsetTop is used.
+	 * @type {null|String|HTMLElement|Array}
+	 *
+	 * @example
+	 * offsetElements: ['#cookie-banner', '.site-header']
+	 */
+	offsetElements: null,
+
+	/**
+	 * Name of a CSS custom property, which receives the progress of the linked emitter element.
+	 * The progress is a number between 0 and 1: How far has the user scrolled through the emitter element?
+	 * It starts, when the top of the emitter element reaches the top offset,
+	 * and ends, when the bottom of the emitter element reaches the bottom offset.
+	 * By default (= false) no property will be added.
+	 * @type {Boolean|String}
+	 *
+	 * @example
+	 * progressProperty: '--scroll-progress'
+	 * a::after { transform: scaleX(var(--scroll-progress)); }
+	 */
+	progressProperty: false,
+
 	/**
 	 * If the user scrolls past an emitter element,
 	 * all linked listener elements will get a new attribute.
@@ -76,18 +336,38 @@ export default {
 	 * you probably want to disable this option (= false).
 	 * Set this option to true, if you use your own polyfill.
 	 * The script can only check for native support, not for polyfills.
-	 * @type {Boolean|'auto'}
+	 * Set this option to 'js' to use the built-in animation instead,
+	 * which supports the duration and easing config options.
+	 * @type {Boolean|'auto'|'js'}
 	 */
 	smoothScroll: 'auto',
 
 	/**
-	 * The update method will get called at a limited rate on scroll.
-	 * By default it will get called 10 times per second.
-	 * This can limit the FPS in a custom update callback.
-	 * Feel free to change it to a lower value, if that's the case.
+	 * Duration of the built-in scroll animation in milliseconds.
+	 * This value has no effect, if the smoothScroll config option isn't set to 'js'.
+	 * @type {Number}
+	 */
+	duration: 500,
+
+	/**
+	 * Easing of the built-in scroll animation.
+	 * Pass the name of a built-in easing function:
+	 * linear, easeInQuad, easeOutQuad, easeInOutQuad, easeInCubic, easeOutCubic or easeInOutCubic.
+	 * You can pass a function as well, that receives the progress (0-1) and returns the eased progress.
+	 * This value has no effect, if the smoothScroll config option isn't set to 'js'.
+	 * @type {String|function}
+	 */
+	easing: 'easeInOutCubic',
+
+	/**
+	 * The update method will get called once per animation frame at most, whenever the user scrolls.
+	 * Scroll events only mark the instance for an update, so there is no work between two frames.
+	 * Set this option to a minimum time between updates in milliseconds to call it less often,
+	 * e.g. 100 means 10 times per second at most. This can save energy on low-power devices,
+	 * but may limit the FPS in a custom update callback.
 	 * @type {Number}
 	 */
-	throttleDelay: 100,
+	throttleDelay: 0,
 
 	/**
 	 * The last emitter element may be "unreachable" on bigger screens.
@@ -0,0 +1,28 @@
+/**
+ * Easing functions for the JavaScript scroll animation.
+ * Each function receives the progress of the animation (0-1)
+ * and returns the eased progress (0-1).
+ */
+export default {
+	linear: function(t) {
+		return t;
+	},
+	easeInQuad: function(t) {
+		return t * t;
+	},
+	easeOutQuad: function(t) {
+		return t * (2 - t);
+	},
+	easeInOutQuad: function(t) {
+		return t < 0.5 ? 2 * t * t : -1 + (4 - 2 * t) * t;
+	},
+	easeInCubic: function(t) {
+		return t * t * t;
+	},
+	easeOutCubic: function(t) {
+		return --t * t * t + 1;
+	},
+	easeInOutCubic: function(t) {
+		return t < 0.5 ? 4 * t * t * t : (t - 1) * (2 * t - 2) * (2 * t - 2) + 1;
+	}
+};
@@ -0,0 +1,10 @@
+/**
+ * ES module entry with the smooth scroll polyfill: the same named exports as the main entry.
+ * The default export is kept for existing imports.
+ */
+import ScrollReaction from './scroll-reaction-with-polyfill.js';
+import defer from './defer.js';
+import defaultConfig from './default-config.js';
+
+export { ScrollReaction, defer, defaultConfig };
+export default ScrollReaction;
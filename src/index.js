@@ -0,0 +1,10 @@
+/**
+ * ES module entry: the class and its helpers as named exports.
+ * The default export is kept for existing imports.
+ */
+import ScrollReaction from './scroll-reaction.js';
+import defer from './defer.js';
+import defaultConfig from './default-config.js';
+
+export { ScrollReaction, defer, defaultConfig };
+export default ScrollReaction;
@@ -0,0 +1,108 @@
+/**
+ * Helper functions for scroll-driven animations between two keyframes.
+ * A keyframe is a string like "opacity: 0; translateY: 40px" or an object like { opacity: 0, translateY: '40px' }.
+ * Only numeric values are interpolated. Transform functions are combined into the transform property.
+ */
+
+/**
+ * Default units of transform functions, if a value has no unit
+ * @type {Object}
+ */
+var transformUnits = {
+	translate: 'px',
+	translateX: 'px',
+	translateY: 'px',
+	translateZ: 'px',
+	scale: '',
+	scaleX: '',
+	scaleY: '',
+	rotate: 'deg',
+	rotateX: 'deg',
+	rotateY: 'deg',
+	rotateZ: 'deg',
+	skew: 'deg',
+	skewX: 'deg',
+	skewY: 'deg'
+};
+
+/**
+ * Splits a value into its number and its unit, e.g. "40px" into 40 and "px"
+ * @param {String|Number} value
+ * @return {Object|null} Null, if the value isn't numeric
+ */
+function parseValue(value) {
+	var match = String(value)
+		.trim()
+		.match(/^(-?\d*\.?\d+(?:e-?\d+)?)([a-z%]*)$/i);
+	return match ? { number: parseFloat(match[1]), unit: match[2] } : null;
+}
+
+export default {
+	/**
+	 * Parses a keyframe
+	 * @param {String|Object} keyframe e.g. "opacity: 0; translateY: 40px"
+	 * @return {Object} Parsed values by name, e.g. { opacity: { number: 0, unit: '' } }
+	 */
+	parse: function(keyframe) {
+		var values = {};
+		var declarations = {};
+
+		if (typeof keyframe === 'string') {
+			var parts = keyframe.split(';');
+			for (var p = 0; p < parts.length; p++) {
+				var colon = parts[p].indexOf(':');
+				if (colon > 0) declarations[parts[p].slice(0, colon).trim()] = parts[p].slice(colon + 1);
+			}
+		} else if (keyframe) {
+			declarations = keyframe;
+		}
+
+		for (var name in declarations) {
+			var value = parseValue(declarations[name]);
+			// Values, which can't be interpolated, are ignored
+			if (value) values[name] = value;
+		}
+
+		return values;
+	},
+
+	/**
+	 * Calculates the styles between two parsed keyframes.
+	 * If a value only exists in one keyframe, it doesn't change.
+	 * The names of the returned properties can be passed to style.setProperty.
+	 * @param {Object} from Parsed keyframe at the start
+	 * @param {Object} to Parsed keyframe at the end
+	 * @param {Number} progress Between 0 (from) and 1 (to)
+	 * @return {Object} CSS values by property, e.g. { opacity: '0.5', transform: 'translateY(20px)' }
+	 */
+	interpolate: function(from, to, progress) {
+		var styles = {};
+		var transforms = [];
+		var names = Object.keys(from);
+
+		// Keep the order of the values, which only exist in the end keyframe
+		for (var n in to) {
+			if (names.indexOf(n) < 0) names.push(n);
+		}
+
+		for (var i = 0; i < names.length; i++) {
+			var name = names[i];
+			var start = from[name] || to[name];
+			var end = to[name] || from[name];
+			var number = start.number + (end.number - start.number) * progress;
+			// Round to avoid long decimals in the DOM
+			var value = Math.round(number * 1000) / 1000 + (end.unit || start.unit);
+
+			if (name in transformUnits) {
+				transforms.push(name + '(' + (end.unit || start.unit ? value : value + transformUnits[name]) + ')');
+			} else {
+				// Custom properties are case-sensitive, other names are converted, e.g. letterSpacing to letter-spacing
+				styles[name.indexOf('--') === 0 ? name : name.replace(/[A-Z]/g, '-$&').toLowerCase()] = value;
+			}
+		}
+
+		if (transforms.length) styles.transform = transforms.join(' ');
+
+		return styles;
+	}
+};
@@ -1,16 +1,25 @@
 // Import and run the smooth scroll polyfill
+// The polyfill needs a window, which doesn't exist during server-side rendering
 import smoothscroll from 'smoothscroll-polyfill';
-smoothscroll.polyfill();
+if (typeof window !== 'undefined') smoothscroll.polyfill();
 
-// Import the default config
-import defaultConfig from './default-config.js';
-// Explicity set smoothScroll to true
-// The smooth scroll polyfill can't be auto detected
-defaultConfig.smoothScroll = true;
+// Import the main class
+import BaseScrollReaction from './scroll-reaction.js';
 
-// Import helper and main functions
-import defer from './defer.js';
-import ScrollReaction from './scroll-reaction';
-
-// Export the default constructor function
-export default ScrollReaction;
+/**
+ * Scroll Reaction with smoothScroll set to true by default.
+ * The smooth scroll polyfill can't be auto detected.
+ * The shared default config stays untouched, so other imports aren't affected.
+ */
+export default class ScrollReaction extends BaseScrollReaction {
+	/**
+	 * @param {Object} userConfig Custom configuration [optional]
+	 */
+	constructor(userConfig) {
+		const config = { smoothScroll: true };
+		for (const c in userConfig) {
+			config[c] = userConfig[c];
+		}
+		super(config);
+	}
+}
@@ -1,381 +1,3073 @@
 import defaultConfig from './default-config.js';
 import defer from './defer.js';
+import animateScroll from './animate-scroll.js';
+import easings from './easings.js';
+import keyframes from './keyframes.js';
+import tableOfContents from './table-of-contents.js';
 
 /**
- * Constructor function for Scroll Reaction.
- * It should be called when the DOM is ready (e.g. onload).
- * @param {Object} userConfig Custom configuration
- * @return {Object}
+ * Scroll Reaction links listener elements (e.g. navigation links) to emitter elements (e.g. sections).
+ * A new instance should be created when the DOM is ready (e.g. onload).
+ * Members with a leading underscore are internal and may change without notice.
  */
-export default function(userConfig) {
+export default class ScrollReaction {
 	/**
-	 * Helper variable for correct this binding
-	 * @type {Object}
+	 * @param {Object} userConfig Custom configuration [optional]
 	 */
-	var self = this;
+	constructor(userConfig) {
+		/**
+		 * Merged config, user config overrides default conig
+		 * @type {Object}
+		 * @private
+		 */
+		this._config = {};
+
+		// Overwrite default config properties where necessary
+		for (const c in defaultConfig) {
+			// Copy the property to the "real" config object
+			this._config[c] = userConfig && c in userConfig ? userConfig[c] : defaultConfig[c];
+		}
+
+		// Deprecated: support old offset config option
+		if (userConfig && userConfig.offset) {
+			this._config.offsetTop = userConfig.offset;
+		}
+
+		// Deprecated: support old offsetFrom config option
+		if (userConfig && userConfig.offsetFrom) {
+			this._config.offsetTop = function() {
+				const offset = userConfig.offset ? userConfig.offset : 0;
+				return this._document.querySelector(userConfig.offsetFrom).offsetHeight + offset;
+			};
+		}
+
+		const config = this._config;
+
+		/**
+		 * List of all available listener elements
+		 * @type {Array}
+		 * @private
+		 */
+		this._listeners = [];
+
+		/**
+		 * List of all available emitter elements.
+		 * Each emitter element has a unique ID,
+		 * so a "real" object is used for storing their data.
+		 * @type {Object}
+		 * @private
+		 */
+		this._emitters = {};
+
+		/**
+		 * List of all registered event handlers
+		 * @type {Array}
+		 * @private
+		 */
+		this._events = [];
+
+		/**
+		 * The window, which contains listener and emitter elements.
+		 * It is null, if there is no DOM, e.g. during server-side rendering.
+		 * @type {Window}
+		 * @private
+		 */
+		this._window = null;
+
+		/**
+		 * The document of the window, null if there is no DOM
+		 * @type {Document}
+		 * @private
+		 */
+		this._document = null;
+
+		/**
+		 * Does the browser support smooth scroll behaviour?
+		 * @type {Boolean}
+		 * @private
+		 */
+		this._supportsSmoothScrolling = false;
+
+		/**
+		 * The element that scrolls, the window by default.
+		 * It will be resolved from the container config option on initialization.
+		 * It is null, if there is no DOM.
+		 * @type {Window|HTMLElement}
+		 * @private
+		 */
+		this._container = null;
+
+		/**
+		 * Names of the bounding rect properties for the start and the end of an element
+		 * and names of the scroll directions.
+		 * On the horizontal axis the top offset and top positions refer to the left edge,
+		 * the bottom offset and bottom positions refer to the right edge.
+		 * @type {Object}
+		 * @private
+		 */
+		this._edge =
+			config.axis == 'x'
+				? { start: 'left', end: 'right', backward: 'left', forward: 'right' }
+				: { start: 'top', end: 'bottom', backward: 'up', forward: 'down' };
+
+		/**
+		 * Should emitter elements be detected by intersection observers?
+		 * Falls back to measuring on scroll, if the browser doesn't support the API.
+		 * @type {Boolean}
+		 * @private
+		 */
+		this._supportsIntersectionObserver = false;
+
+		/**
+		 * Intersection observers for emitter elements, if enabled.
+		 * The reach observer reports emitter elements, that have been reached by the user.
+		 * The surpass observer reports emitter elements, that are still visible (multiple config option only).
+		 * @type {Object}
+		 * @private
+		 */
+		this._observers = {
+			reach: null,
+			surpass: null
+		};
+
+		/**
+		 * Reports size changes of emitter elements and the page (or the container), if supported.
+		 * Emitter positions are measured again afterwards.
+		 * @type {ResizeObserver}
+		 * @private
+		 */
+		this._resizeObserver = null;
+
+		/**
+		 * IDs of all emitter elements, sorted by their cached positions (see _measureEmitters method)
+		 * @type {Array}
+		 * @private
+		 */
+		this._sortedIds = [];
+
+		/**
+		 * Number of sorted emitter elements, which have been reached during the last update.
+		 * Null, if the state of every emitter element needs to be updated.
+		 * @type {Number}
+		 * @private
+		 */
+		this._reachedCount = null;
+
+		/**
+		 * Does any emitter element override the config with its own options (see attributeOptions config option)?
+		 * The binary search for the active emitter element only works with the same options for every element.
+		 * @type {Boolean}
+		 * @private
+		 */
+		this._hasEmitterOptions = false;
+
+		/**
+		 * Is any emitter element nested inside another emitter element (see _findParents method)?
+		 * @type {Boolean}
+		 * @private
+		 */
+		this._hasNesting = false;
+
+		/**
+		 * Fixed or sticky elements, whose height is added to the top offset (see offsetElements config option)
+		 * @type {Array}
+		 * @private
+		 */
+		this._offsetElements = [];
+
+		/**
+		 * Scroll position and time of the previous update, used to calculate the velocity
+		 * @type {Object}
+		 * @private
+		 */
+		this._previousUpdate = {
+			position: 0,
+			time: 0
+		};
+
+		/**
+		 * Offsets of the last update, the height of offset elements is included in the top offset.
+		 * Events, which are emitted after the DOM has been changed, use them instead of measuring again.
+		 * @type {Object}
+		 * @private
+		 */
+		this._offsets = { top: 0, bottom: 0, covered: 0 };
+
+		/**
+		 * Scroll position, where the current direction has been confirmed for the last time.
+		 * The direction only changes, if the user scrolls back further than the tolerance.
+		 * @type {Number}
+		 * @private
+		 */
+		this._directionPosition = 0;
+
+		/**
+		 * Value of the direction attribute, which has been set for the last time
+		 * @type {String}
+		 * @private
+		 */
+		this._directionAttribute = null;
+
+		/**
+		 * Has the instance been initialized (and not destroyed afterwards)?
+		 * @type {Boolean}
+		 * @private
+		 */
+		this._initialized = false;
+
+		/**
+		 * Deferred event handlers for the window and the container.
+		 * They are stored to be able to remove them again.
+		 * @type {Object}
+		 * @private
+		 */
+		this._handlers = {
+			resize: null,
+			scroll: null,
+			history: null,
+			keyboard: null,
+			wheel: null,
+			touch: null,
+			load: null
+		};
+
+		/**
+		 * List of all elements with a click handler for smooth scrolling
+		 * @type {Array}
+		 * @private
+		 */
+		this._links = [];
+
+		/**
+		 * Generated tables of contents with their target elements (see createTableOfContents method)
+		 * @type {Array}
+		 * @private
+		 */
+		this._tables = [];
+
+		/**
+		 * List of all listener elements, whose emitter element doesn't exist (yet)
+		 * @type {Array}
+		 * @private
+		 */
+		this._pendingListeners = [];
+
+		/**
+		 * Watches the DOM for added or removed elements, if enabled (see observe config option)
+		 * @type {MutationObserver}
+		 * @private
+		 */
+		this._mutationObserver = null;
+
+		/**
+		 * List of all elements, that received a tabindex attribute in the scrollTo method
+		 * @type {Array}
+		 * @private
+		 */
+		this._focusableElements = [];
+
+		/**
+		 * Cancels the running JavaScript scroll animation, if any
+		 * @type {Function}
+		 * @private
+		 */
+		this._cancelAnimation = null;
+
+		/**
+		 * Hash of the URL, which has been handled or set for the last time (see history config option)
+		 * @type {String}
+		 * @private
+		 */
+		this._currentHash = '';
+
+		/**
+		 * Updates the URL hash after the active emitter element has changed (see history config option).
+		 * Writing to the history is debounced, so passed emitter elements don't flood the history.
+		 * @type {Function}
+		 * @private
+		 */
+		this._syncHistory = defer(
+			function() {
+				// The instance may have been destroyed in the meantime
+				if (!this._initialized || this._activeId === this._syncedId) return;
+				this._syncedId = this._activeId;
+				this._writeHistory(this._activeId);
+			},
+			this,
+			300,
+			true
+		);
+
+		/**
+		 * ID of the emitter element, which has been written to the URL hash for the last time
+		 * @type {String}
+		 * @private
+		 */
+		this._syncedId = null;
+
+		/**
+		 * ID of the lowest emitter element, that has been reached by the user
+		 * @type {String}
+		 * @private
+		 */
+		this._activeId = null;
+
+		/**
+		 * Visually hidden element, which announces the active emitter element (see announce config option)
+		 * @type {HTMLElement}
+		 * @private
+		 */
+		this._liveRegion = null;
+
+		/**
+		 * ID of the emitter element, which has been announced for the last time
+		 * @type {String}
+		 * @private
+		 */
+		this._announcedId = null;
+
+		/**
+		 * Announces the active emitter element after it has changed (see announce config option).
+		 * Announcements are debounced, so passed emitter elements aren't read out while scrolling.
+		 * @type {Function}
+		 * @private
+		 */
+		this._scheduleAnnouncement = defer(
+			function() {
+				// The instance may have been destroyed in the meantime
+				if (this._initialized) this._announce();
+			},
+			this,
+			300,
+			true
+		);
+
+		/**
+		 * ID of the emitter element, which the next or previous method is scrolling to.
+		 * Repeated calls continue from there, the active emitter element lags behind while scrolling.
+		 * @type {String}
+		 * @private
+		 */
+		this._targetId = null;
+
+		/**
+		 * ID of the emitter element of the current page (see paging config option)
+		 * @type {String}
+		 * @private
+		 */
+		this._pageId = null;
+
+		/**
+		 * Time of the last wheel event, which has been handled in paging mode.
+		 * A wheel movement consists of many events, only the first one of a movement turns the page.
+		 * @type {Number}
+		 * @private
+		 */
+		this._lastWheel = 0;
+
+		/**
+		 * Position of the finger, when the current swipe has started (see paging config option)
+		 * @type {Number}
+		 * @private
+		 */
+		this._touchStart = null;
+
+		/**
+		 * Snaps to the nearest emitter element, after the user has stopped scrolling (see paging config option)
+		 * @type {Function}
+		 * @private
+		 */
+		this._snapLater = defer(
+			function() {
+				// The instance may have been destroyed in the meantime
+				if (this._initialized) this._snap();
+			},
+			this,
+			150,
+			true
+		);
+
+		/**
+		 * List of all scroll-driven animations, declared via attributes or the animate method
+		 * @type {Array}
+		 * @private
+		 */
+		this._animations = [];
+
+		/**
+		 * ID of the requested animation frame (see _requestFrame method)
+		 * @type {Number}
+		 * @private
+		 */
+		this._frame = null;
+
+		/**
+		 * Work for the next animation frame.
+		 * Scroll and resize events only set these flags, so each frame updates everything only once.
+		 * @type {Object}
+		 * @private
+		 */
+		this._tasks = {
+			measure: false,
+			update: false,
+			render: false
+		};
+
+		// Click handlers need the instance, not the clicked link
+		this._scrollSmoothly = this._scrollSmoothly.bind(this);
+
+		/**
+		 * Current scroll position in pixels.
+		 * Global property, available inside event listeners.
+		 * @type {Number}
+		 */
+		this.position = 0;
+
+		/**
+		 * Current scroll position in percent (0-100).
+		 * Global property, available inside event listeners.
+		 * @type {Number}
+		 */
+		this.status = 0;
+
+		/**
+		 * Current scroll direction: 'up' or 'down' ('left' or 'right' on the horizontal axis).
+		 * Global property, available inside event listeners.
+		 * @type {String}
+		 */
+		this.direction = this._edge.forward;
+
+		/**
+		 * Current scroll velocity in pixels per second.
+		 * Negative values mean that the user scrolls up (or left).
+		 * Global property, available inside event listeners.
+		 * @type {Number}
+		 */
+		this.velocity = 0;
+
+		/**
+		 * Index of the active emitter element in document order, -1 if none is active.
+		 * Global property, available inside event listeners.
+		 * Only updated, if the paging config option is set to true.
+		 * @type {Number}
+		 */
+		this.page = -1;
+
+		// Find the window and the document, if there is a DOM
+		// The window scrolls, until the container is resolved on initialization
+		if (this._resolveEnvironment()) this._container = this._window;
+
+		// No need to call this manually - it just works!
+		// Without a DOM, the init method has to be called later
+		if (config.autoInit) this.init();
+	}
+
+	/**
+	 * Initializes everything for the first usage.
+	 * Updates emitter and listener elements for the first time.
+	 * This method will be called automatically, unless the autoInit config option is set to false.
+	 */
+	init() {
+		const config = this._config;
+		const handlers = this._handlers;
+
+		// Remove existing event listeners, this method may be called again
+		this._removeEventListeners();
+
+		// The instance may have been created before the DOM was available
+		// Abort, if there is still no DOM, e.g. during server-side rendering
+		if (!this._resolveEnvironment()) return;
+
+		// Find the scrolling element, before any position is calculated
+		this._container = this._getContainer();
+		this._initialized = true;
+
+		// Measure emitter elements again, whenever their size or the size of the page changes
+		if (this._resizeObserver) this._resizeObserver.disconnect();
+		if ('ResizeObserver' in this._window) {
+			this._resizeObserver = new this._window.ResizeObserver(() => {
+				this._schedule('measure');
+			});
+		}
+
+		// Create fresh data for emitters and listeners
+		this.refresh();
+
+		// Prepare announcements of the active emitter element
+		// The emitter element, which is active on page load, isn't announced
+		if (config.announce) {
+			if (!this._liveRegion) this._liveRegion = this._createLiveRegion();
+			this._announcedId = this._activeId;
+		}
+
+		/**
+		 * Update emitter and listener elements if the user changes the window size.
+		 * Observers and animations are measured again afterwards, not while resizing the window.
+		 * This prevents unnecessary function calls and improves the overall performance.
+		 */
+		const remeasure = defer(this._resize, this, 200, true);
+		handlers.resize = () => {
+			this._schedule('update');
+			remeasure();
+		};
+		this._window.addEventListener('resize', handlers.resize);
+		this._window.addEventListener('orientationchange', handlers.resize);
+
+		/**
+		 * Update emitter and listener elements if the user scrolls.
+		 * The update method will get called once per animation frame at most,
+		 * no matter how many scroll events occur (see throttleDelay config option).
+		 */
+		handlers.scroll = () => {
+			this._schedule('update');
+			if (config.paging) this._snapLater();
+		};
+		this._container.addEventListener('scroll', handlers.scroll);
+
+		/**
+		 * Follow back and forward navigation and changes of the URL hash.
+		 * The initial position is corrected as well, because the browser ignores the top offset,
+		 * when it jumps to the element of a page anchor (e.g. #link).
+		 */
+		if (config.history) {
+			handlers.history = () => {
+				this._followHistory();
+			};
+			this._window.addEventListener('popstate', handlers.history);
+			this._window.addEventListener('hashchange', handlers.history);
+			this._currentHash = '';
+			// The emitter element, which is active on page load, isn't written to the URL
+			this._syncedId = this._activeId;
+			if (this._window.location.hash) this._followHistory(false);
+		}
+
+		/**
+		 * Jump between emitter elements with the keyboard, if enabled.
+		 * The listener is added to the window, so it works regardless of the focused element.
+		 */
+		if (config.keyboard || config.paging) {
+			handlers.keyboard = event => {
+				this._handleKeyboard(event);
+			};
+			this._window.addEventListener('keydown', handlers.keyboard);
+		}
+
+		/**
+		 * Turn each wheel movement and each swipe into exactly one step in paging mode.
+		 * The listeners can't be passive, because native scrolling is prevented.
+		 */
+		if (config.paging) {
+			handlers.wheel = event => {
+				this._handleWheel(event);
+			};
+			handlers.touch = event => {
+				this._handleTouch(event);
+			};
+			this._container.addEventListener('wheel', handlers.wheel, { passive: false });
+			this._container.addEventListener('touchstart', handlers.touch, { passive: true });
+			this._container.addEventListener('touchmove', handlers.touch, { passive: false });
+			this._container.addEventListener('touchend', handlers.touch);
+		}
+
+		/**
+		 * Measure emitter elements again, after images and fonts have been loaded.
+		 * Their positions are cached, they may have moved since the last measurement.
+		 */
+		handlers.load = () => {
+			this._schedule('measure');
+		};
+		this._window.addEventListener('load', handlers.load);
+		// Load events of images don't bubble, but they can be captured
+		this._document.addEventListener('load', handlers.load, true);
+		if (this._document.fonts && this._document.fonts.addEventListener) {
+			this._document.fonts.addEventListener('loadingdone', handlers.load);
+		}
+
+		/**
+		 * Update listener and emitter elements if they are added to or removed from the DOM.
+		 * The whole document is watched, because listener elements may be outside of the container.
+		 * Only the attributes, which are used to link listener and emitter elements, are relevant.
+		 */
+		if (config.observe && 'MutationObserver' in this._window) {
+			if (this._mutationObserver) this._mutationObserver.disconnect();
+			this._mutationObserver = new this._window.MutationObserver(mutations => {
+				this._handleMutations(mutations);
+			});
+			this._mutationObserver.observe(this._document.documentElement, {
+				childList: true,
+				subtree: true,
+				attributes: true,
+				attributeFilter: [config.attribute, 'href', 'id']
+			});
+		}
+	}
+
+	/**
+	 * Removes everything Scroll Reaction has added to the DOM.
+	 * This includes event listeners, attributes and registered callbacks.
+	 * Call the init method to start again.
+	 */
+	destroy() {
+		const config = this._config;
+
+		this._initialized = false;
+
+		// Remove event listeners from the window, the container and all links
+		this._removeEventListeners();
+		for (let a = 0; a < this._links.length; a++) {
+			this._links[a].removeEventListener('click', this._scrollSmoothly);
+		}
+
+		// Stop a running scroll animation
+		if (this._cancelAnimation) this._cancelAnimation();
+
+		// Stop observing emitter elements and the DOM
+		this._disconnectObservers();
+		if (this._resizeObserver) this._resizeObserver.disconnect();
+		this._resizeObserver = null;
+		if (this._mutationObserver) this._mutationObserver.disconnect();
+		this._mutationObserver = null;
+
+		// Remove the state and the progress of listener and emitter elements
+		for (let l = 0; l < this._listeners.length; l++) {
+			this._clearState(this._listeners[l], true);
+			if (config.progressProperty) this._listeners[l].element.style.removeProperty(config.progressProperty);
+		}
+		for (const e in this._emitters) {
+			if (config.markEmitters) this._clearState(this._emitters[e]);
+		}
+
+		// Cancel the next frame and remove the styles of scroll-driven animations
+		this._cancelFrame();
+		for (let n = 0; n < this._animations.length; n++) {
+			this._clearAnimation(this._animations[n]);
+		}
+
+		// Remove the live region
+		if (this._liveRegion && this._liveRegion.parentNode) this._liveRegion.parentNode.removeChild(this._liveRegion);
+		this._liveRegion = null;
+
+		// Remove the direction attribute, if it has been set
+		if (this._directionAttribute) this._getDirectionElement().removeAttribute(config.attributeDirection);
+		this._directionAttribute = null;
+
+		// Forget the current page and an unfinished swipe
+		this.page = -1;
+		this._pageId = null;
+		this._touchStart = null;
+
+		// Remove tabindex attributes, that have been added for accessibility
+		for (let t = 0; t < this._focusableElements.length; t++) {
+			this._focusableElements[t].removeAttribute('tabindex');
+		}
+
+		// Forget all elements and callbacks
+		this._links = [];
+		this._tables = [];
+		this._listeners = [];
+		this._pendingListeners = [];
+		this._emitters = {};
+		this._sortedIds = [];
+		this._hasEmitterOptions = false;
+		this._hasNesting = false;
+		this._offsetElements = [];
+		this._focusableElements = [];
+		this._animations = [];
+		this._events = [];
+	}
+
+	/**
+	 * Finds all listener and emitter elements in the DOM and caches their positions.
+	 * Needs to be called again when emitter or listener elements.
+	 * are removed or added to the DOM
+	 */
+	refresh() {
+		// Abort, if the instance hasn't been initialized, e.g. during server-side rendering
+		// The init method calls this method anyway
+		if (!this._initialized) return;
+
+		// Find all listener elements by attribute of choice
+		const foundListeners = this._document.querySelectorAll('[' + this._config.attribute + ']');
+
+		// Process listener elements, if at least one exists
+		if (foundListeners.length > 0) {
+			// Keep a reference to the known emitter elements, their state should survive a refresh
+			const previousEmitters = this._emitters;
+
+			// Empty stored data, because this method may be called again
+			this._listeners = [];
+			this._emitters = {};
+			this._pendingListeners = [];
+
+			// Loop trough all found listener elements
+			for (let f = foundListeners.length - 1; f >= 0; f--) {
+				this._addListener(foundListeners[f], previousEmitters);
+			}
+		}
+
+		// Observe the (new) emitter elements, if intersection observers are enabled
+		if (this._supportsIntersectionObserver) this._observeEmitters();
+
+		// Find fixed and sticky headers again, they may have been replaced
+		if (this._config.offsetElements) this._offsetElements = this._findOffsetElements();
+
+		// Cache the positions of all emitter elements and watch their sizes
+		this._observeSizes();
+		this._measureEmitters();
+
+		// Find all elements with keyframe attributes, animations of the animate method are kept
+		if (this._config.attributeKeyframes) this._findAnimations();
+		this._measureAnimations();
+
+		// Update all elements, just in case the user has already scrolled
+		// This can happen when the URL contans a page anchor (e.g. #link)
+		this.update();
+	}
+
+	/**
+	 * Updates everything to reflect the current scroll position.
+	 * Everything is measured first and changed afterwards, so the browser calculates the layout only once.
+	 * Callbacks are called at the end, they may measure or change anything.
+	 */
+	update() {
+		// Abort, if the instance hasn't been initialized or has been destroyed
+		// Deferred event handlers may still call this method afterwards
+		if (!this._initialized) return;
+
+		const config = this._config;
+		const edge = this._edge;
+		const emitters = this._emitters;
+
+		// Calculate the highest possible scroll position (bottom of the page)
+		const windowBottomPosition = this._getScrollSize() - this._getViewportSize();
+		// Include the offset for the bottom of the page
+		const bottomPosition = windowBottomPosition - config.windowBottomOffset;
+		// Reference to the last emitter element
+		// The list of emitter elements may be in random order, we need to find the lowest emitter element
+		const lastEmitter = {
+			id: null,
+			position: -1
+		};
+
+		// Get the current scroll position (how far has the user scrolled?)
+		this.position = this._getScrollPosition();
+		// Has the user scrolled up or down since the last update?
+		const hasChangedDirection = this._updateDirection();
+		// Update the status: How far has the user scrolled?
+		// Math.min fixes rounding errors: The status can't be >100%
+		this.status = Math.min((this.position / windowBottomPosition) * 100, 100);
+
+		// Calculate the progress of scroll-driven animations, their styles are written in the next frame
+		if (this._animations.length) this._updateAnimations();
+
+		// Should the progress of each emitter element be calculated?
+		const tracksProgress = config.progressProperty || this._hasEvent('progress');
+
+		// Skip listener elements and state events, if no state should be added to elements and nobody listens for state changes
+		// This increases the performance, because unnecessary code is skipped
+		// The active emitter element is found anyway, because getActive, getActivePath, next and previous depend on it
+		const tracksState =
+			this._hasOutput() ||
+			config.history ||
+			config.keyboard ||
+			config.announce ||
+			config.paging ||
+			tracksProgress ||
+			this._hasEvent('activate') ||
+			this._hasEvent('deactivate');
+
+		// IDs of emitter elements, whose progress has changed
+		const changedProgress = [];
+
+		// Update the offsets, they can be the return value of a given function
+		// Offset elements cover emitter elements with their own top offset as well
+		const coveredOffset = this._getElementsOffset();
+		const offsetTop = this._getOffset('offsetTop') + coveredOffset;
+		const offsetBottom = this._getOffset('offsetBottom');
+		const margin = this._getMargin(offsetTop, offsetBottom, config.multiple);
+		this._offsets = { top: offsetTop, bottom: offsetBottom, covered: coveredOffset };
+
+		if (!config.multiple && !this._observers.reach && !this._hasEmitterOptions) {
+			// Only one emitter element can be active, it can be found by its cached position
+			lastEmitter.id = this._findReached(margin.top, bottomPosition);
+		} else {
+			// Loop trough all emitter elements
+			for (const e in emitters) {
+				let emitterPosition, hasReachedEmitter, hasSurpassedEmitter;
+				// Options of the emitter element, which override the config (see attributeOptions config option)
+				const options = emitters[e].options;
+				const isVisibleOnly = !!options && options.visible;
+
+				if (this._observers.reach) {
+					// Use the last state reported by the intersection observers
+					emitterPosition = emitters[e].observed;
+					hasReachedEmitter = emitterPosition.reached || this.position >= bottomPosition;
+					hasSurpassedEmitter = emitterPosition.surpassed;
+				} else {
+					// Use the cached coordinates of the emitter element inside the container
+					// Respect the viewport offsets
+					const emitterOffsets = this._getEmitterOffsets(emitters[e], this._offsets);
+					const emitterMargin = options
+						? this._getMargin(emitterOffsets.top, emitterOffsets.bottom, config.multiple || isVisibleOnly)
+						: margin;
+					emitterPosition = {
+						top: Math.max(emitters[e].layout.start - emitterMargin.top, 0),
+						bottom: Math.max(emitters[e].layout.end - emitterMargin.bottom, 0)
+					};
+
+					// Has the user reached the calculated position of the emitter element?
+					// Or has the user scrolled all the way to the bottom of the page?
+					hasReachedEmitter = this.position >= emitterPosition.top || this.position >= bottomPosition;
+					hasSurpassedEmitter = this.position > emitterPosition.bottom;
+				}
+
+				// If this emitter element is visible and the multiple config option is set to true,
+				// it will be marked as active, even if it is not the only element, that has been reached by the user
+				if (hasReachedEmitter && !hasSurpassedEmitter && (config.multiple || isVisibleOnly)) {
+					// Mark this emitter element as currently active
+					emitters[e].active = true;
+				} else if (config.rewind && !(options && options.once)) {
+					// Mark this emitter element as not active (anymore)
+					// This shouldn't happen, if rewind config option is set to false
+					emitters[e].active = false;
+				}
+
+				// Remember, if the emitter element has been reached (past or current state)
+				emitters[e].reached = hasReachedEmitter;
+
+				// Store a reference to the lowest emitter element, that has been reached by the user
+				// Emitter elements, which are only active while visible, don't compete with the others
+				if (hasReachedEmitter && !isVisibleOnly && emitterPosition.top > lastEmitter.position) {
+					lastEmitter.id = e;
+					lastEmitter.position = emitterPosition.top;
+				}
+			}
+		}
+
+		// Calculate the progress of each emitter element and remember, if it has changed
+		if (tracksProgress) {
+			for (const p in emitters) {
+				const emitterOffsets = this._getEmitterOffsets(emitters[p], this._offsets);
+				const progress = this._calculateProgress(emitters[p].layout, emitterOffsets.top, emitterOffsets.bottom);
+				if (progress !== emitters[p].progress) changedProgress.push(p);
+				emitters[p].progress = progress;
+			}
+		}
+
+		// The lowest emitter element, that has been reached by the user, should always be active
+		if (lastEmitter.id) {
+			emitters[lastEmitter.id].active = true;
+		}
+
+		// Mark the ancestors of active emitter elements, e.g. the chapter of an active subsection
+		if (this._hasNesting) this._updateAncestors();
+
+		// Keep the URL hash in sync with the active emitter element and announce it, if enabled
+		if (lastEmitter.id !== this._activeId) {
+			this._activeId = lastEmitter.id;
+			if (config.history) this._syncHistory();
+			if (config.announce) this._scheduleAnnouncement();
+		}
+
+		// Everything has been measured, the DOM can be changed now
+		// Add the direction to the container (or the root element), if it has changed
+		if (config.attributeDirection && this._directionAttribute !== this.direction) {
+			this._getDirectionElement().setAttribute(config.attributeDirection, this.direction);
+			this._directionAttribute = this.direction;
+		}
+
+		if (tracksState) {
+			// Loop trough all listener elements
+			for (let l = 0; l < this._listeners.length; l++) {
+				const listener = this._listeners[l];
+				const emitter = emitters[listener.emitterId];
+
+				// The emitter element may have been removed from the DOM in the meantime
+				if (!emitter) continue;
+
+				// Pass the progress to CSS, but only if it has changed
+				if (config.progressProperty && changedProgress.indexOf(listener.emitterId) >= 0) {
+					listener.element.style.setProperty(config.progressProperty, emitter.progress);
+				}
+
+				// Add the state of the linked emitter element to the listener element, if it has changed
+				// Listener elements, which should only react once, keep their active state
+				if (!(listener.options && listener.options.once && listener.state == 'current')) {
+					this._applyState(listener, this._getState(emitter), true);
+				}
+				this._applyAncestor(listener, emitter.ancestor);
+			}
+
+			// Add the state to emitter elements as well, if they should be marked
+			for (const m in emitters) {
+				if (!config.markEmitters) continue;
+				this._applyState(emitters[m], this._getState(emitters[m]));
+				this._applyAncestor(emitters[m], emitters[m].ancestor);
+			}
+		}
+
+		// Call any directionchange and update callbacks, if set
+		if (hasChangedDirection) this.emit('directionchange', { direction: this.direction, velocity: this.velocity });
+		this.emit('update');
+
+		if (!tracksState) return;
+
+		// Call deactivate callbacks first, afterwards activate callbacks
+		// This way the previous emitter element is always left before the next one is entered
+		this._emitTransitions(false);
+		this._emitTransitions(true);
+
+		// Call progress callbacks for each emitter element, whose progress has changed
+		for (let c = 0; c < changedProgress.length; c++) {
+			this.emit('progress', this._getDetails(changedProgress[c]));
+		}
+
+		// Call pagechange callbacks, if the active emitter element has changed
+		if (config.paging) this._updatePage();
+	}
+
+	/**
+	 * Calculates how far the user has scrolled through an emitter element.
+	 * It starts at 0, when the top of the emitter element reaches the top offset.
+	 * It ends at 1, when the bottom of the emitter element reaches the bottom offset.
+	 * @param {String} id ID of the emitter element
+	 * @return {Number} Progress between 0 and 1
+	 */
+	getProgress(id) {
+		// Unknown emitter elements haven't been reached yet
+		if (!this._emitters[id]) return 0;
+
+		// Measure the emitter element and the offsets, the cached values may be outdated
+		const coveredOffset = this._getElementsOffset();
+		return this._getProgress(
+			this._emitters[id],
+			this._getLayout(this._emitters[id].element, this._getScrollPosition() - this._getContainerOffset()),
+			{
+				top: this._getOffset('offsetTop') + coveredOffset,
+				bottom: this._getOffset('offsetBottom'),
+				covered: coveredOffset
+			},
+			this._getScrollPosition()
+		);
+	}
+
+	/**
+	 * Scrolls to an element with a given ID.
+	 * Scrolls to top, if no ID is specified.
+	 * Scrolls smoothly, unless the second argument is set to false.
+	 * Returns a promise in browsers that support promises.
+	 * It resolves with true, when the position has been reached,
+	 * or with false, if scrolling has been interrupted.
+	 * @param {String} id ID of the element the browser should scroll to [optional]
+	 * @param {Boolean} smooth Set to false to jump to the element immediately [optional]
+	 * @return {Promise}
+	 */
+	scrollTo(id, smooth) {
+		// Nothing can be scrolled without a DOM, e.g. during server-side rendering
+		if (!this._container) return Promise.resolve(false);
+
+		// Find the corresponding element
+		const element = id ? this._document.getElementById(id) : null;
+		// Scroll to top by default
+		const endPosition = element ? this._getTargetPosition(element) : 0;
+
+		// Does the element exist?
+		if (element) {
+			// Focus the element for screen readers (accessibility)
+			// This allows the user to navigate to the next element via keyboard
+			element.focus({ preventScroll: true });
+			// If the element isn't focusable, add tabindex="-1" and try again
+			if (this._document.activeElement !== element) {
+				element.setAttribute('tabindex', '-1');
+				// Remember the element to be able to remove the attribute later
+				this._focusableElements.push(element);
+				element.focus({ preventScroll: true });
+			}
+		}
+
+		// Change the state in the history
+		this._writeHistory(id);
+
+		/**
+		 * Headers may collapse or become stuck while scrolling, which changes the top offset.
+		 * The position is corrected once after scrolling has finished (see offsetElements config option).
+		 */
+		const scroll = done => {
+			this._scroll(
+				endPosition,
+				completed => {
+					const correctedPosition = element ? this._getTargetPosition(element) : endPosition;
+					const reachablePosition = Math.min(Math.max(correctedPosition, 0), this._getMaxScrollPosition());
+
+					if (completed && this._offsetElements.length && Math.abs(reachablePosition - this._getScrollPosition()) > 1) {
+						this._scroll(correctedPosition, done, smooth);
+					} else {
+						done(completed);
+					}
+				},
+				smooth
+			);
+		};
+
+		// Older browsers don't support promises, scrolling works anyway
+		if (typeof Promise === 'undefined') {
+			scroll(function() {});
+			return;
+		}
+
+		return new Promise(scroll);
+	}
+
+	/**
+	 * Scrolls to the emitter element after the active one (in document order).
+	 * Scrolls to the first emitter element, if none is active yet.
+	 * @return {Promise} Resolves with false, if there is no next emitter element
+	 */
+	next() {
+		return this._scrollBy(1);
+	}
+
+	/**
+	 * Scrolls to the emitter element before the active one (in document order).
+	 * @return {Promise} Resolves with false, if there is no previous emitter element
+	 */
+	previous() {
+		return this._scrollBy(-1);
+	}
+
+	/**
+	 * Returns the ID of the active emitter element.
+	 * If multiple emitter elements are active, it is the lowest one, that has been reached by the user.
+	 * @return {String|null} ID of the emitter element or null, if none is active
+	 */
+	getActive() {
+		return this._activeId;
+	}
+
+	/**
+	 * Returns the IDs of the active emitter element and of all emitter elements, which contain it.
+	 * The outermost emitter element comes first, e.g. ['chapter-2', 'section-2-1'].
+	 * This can be used to expand the right branches of a nested table of contents.
+	 * @return {Array} IDs of the emitter elements or an empty array, if none is active
+	 */
+	getActivePath() {
+		const path = [];
+		let id = this._activeId;
+
+		while (id && this._emitters[id]) {
+			path.unshift(id);
+			id = this._emitters[id].parentId;
+		}
+		return path;
+	}
+
+	/**
+	 * Generates a table of contents from the headings inside a content element.
+	 * Headings without an ID receive a unique ID, which is created from their text.
+	 * The nested list of links is added to the target element and registered as listener elements,
+	 * so highlighting and smooth scrolling work immediately.
+	 * Call this method again, whenever the headings change. The previous list will be replaced.
+	 * @param {String|HTMLElement} target Element or a selector, e.g. a <nav> element
+	 * @param {Object} options [optional]
+	 * @param {String|HTMLElement} options.root Element or a selector, which contains the headings [default: the container or the body]
+	 * @param {String} options.selector Selector for the headings, their level is read from the tag name or aria-level [default: 'h2, h3']
+	 * @param {String} options.label Accessible name of the target element, if it has none [default: 'Table of contents']
+	 * @return {HTMLElement|null} Generated <ul> element or null, if the target or the root element doesn't exist
+	 */
+	createTableOfContents(target, options) {
+		const doc = this._document;
+		options = options || {};
+
+		// Without a DOM (e.g. during server-side rendering), there is nothing to generate
+		if (!doc) return null;
+
+		let root = this._container !== this._window ? this._container : doc.body;
+		if (options.root) root = typeof options.root === 'string' ? doc.querySelector(options.root) : options.root;
+		if (typeof target === 'string') target = doc.querySelector(target);
+		if (!target || !root) return null;
+
+		// Find the headings, the own heading of the target element is skipped
+		const headings = [];
+		const found = root.querySelectorAll(options.selector || 'h2, h3');
+		for (let h = 0; h < found.length; h++) {
+			if (target.contains(found[h]) || !found[h].textContent.trim()) continue;
+			tableOfContents.identify(found[h], doc);
+			headings.push(found[h]);
+		}
+
+		// Replace the previous list, its links aren't listener elements anymore
+		for (let t = this._tables.length - 1; t >= 0; t--) {
+			if (this._tables[t].target !== target) continue;
+
+			const links = this._tables[t].list.querySelectorAll('[' + this._config.attribute + ']');
+			for (let l = 0; l < links.length; l++) {
+				this._removeListener(links[l]);
+			}
+			if (this._tables[t].list.parentNode) this._tables[t].list.parentNode.removeChild(this._tables[t].list);
+			this._tables.splice(t, 1);
+		}
+
+		const list = tableOfContents.build(headings, doc, this._config.attribute);
+		target.appendChild(list);
+		this._tables.push({ target: target, list: list });
+
+		// Screen readers announce the navigation with its name
+		if (!target.hasAttribute('aria-label') && !target.hasAttribute('aria-labelledby')) {
+			target.setAttribute('aria-label', options.label || 'Table of contents');
+		}
+
+		// Register the new listener elements, the instance registers them on initialization anyway
+		this.refresh();
+
+		return list;
+	}
+
+	/**
+	 * Animates styles of an element between two keyframes, while the user scrolls.
+	 * Only numeric values are interpolated, e.g. opacity, translateY or CSS custom properties.
+	 * By default the animation starts, when the element enters the viewport,
+	 * and ends, when it has left the viewport.
+	 * @param {String|HTMLElement} element Element or a selector, which may match multiple elements
+	 * @param {Object} options
+	 * @param {String|Object} options.from Keyframe at the start, e.g. 'opacity: 0; translateY: 40px'
+	 * @param {String|Object} options.to Keyframe at the end, e.g. { opacity: 1, translateY: 0 }
+	 * @param {Number|function} options.start Scroll position in pixels or a function, that receives the element and returns it [optional]
+	 * @param {Number|function} options.end Scroll position in pixels or a function, that receives the element and returns it [optional]
+	 * @param {String|function} options.easing Name of a built-in easing function or a custom one [default: 'linear']
+	 * @return {Function} Stops the animation and removes its styles
+	 */
+	animate(element, options) {
+		let elements = [element];
+		const animations = [];
+
+		if (typeof element === 'string') elements = this._document ? this._document.querySelectorAll(element) : [];
+
+		for (let e = 0; e < elements.length; e++) {
+			if (elements[e]) animations.push(this._addAnimation(elements[e], options || {}, false));
+		}
+
+		// The animations are measured on initialization, if the instance hasn't been initialized yet
+		if (this._initialized) {
+			this._measureAnimations();
+			this.update();
+		}
+
+		return () => {
+			for (let a = 0; a < animations.length; a++) {
+				this._removeAnimation(animations[a]);
+			}
+		};
+	}
+
+	/**
+	 * Sets a callback with access to Scroll Reactions properties (via this).
+	 * Advanced scroll effects rely on multiple event listeners.
+	 * Pass 'update' as the event name to call the callback on each update.
+	 * Pass 'click' to call the callback whenever the user clicks on a smooth scroll link.
+	 * Pass 'activate' or 'deactivate' to call the callback once whenever an emitter element changes its state.
+	 * Pass 'directionchange' to call the callback whenever the user changes the scroll direction.
+	 * Pass 'progress' to call the callback whenever the progress of an emitter element changes.
+	 * These callbacks receive the ID, the emitter element, its listener elements, the scroll direction and the progress.
+	 * @param {String} name Name of the event, e.g. 'update' or 'click'
+	 * @param {Function} callback Function to be called
+	 */
+	on(name, callback) {
+		// Abort, if the callback is not a valid function
+		if (typeof callback !== 'function') return;
+
+		// Assign the callback with the correct this binding
+		this._events.push({ name: name, callback: callback });
+
+		// Call update callback on initialization
+		if (name == 'update') callback.call(this);
+	}
+
+	/**
+	 * Removes a callback, that has been set with the on method.
+	 * Removes all callbacks for the event, if no callback is passed.
+	 * @param {String} name Name of the event, e.g. 'update' or 'click'
+	 * @param {Function} callback Function to be removed [optional]
+	 */
+	off(name, callback) {
+		// Loop backwards, because elements are removed while looping
+		for (let e = this._events.length - 1; e >= 0; e--) {
+			if (this._events[e].name === name && (!callback || this._events[e].callback === callback)) {
+				this._events.splice(e, 1);
+			}
+		}
+	}
+
+	/**
+	 * Emits an event and calls linked event listeners.
+	 * Used internally, e.g. in the update method.
+	 * @param {String} name Name of the event
+	 * @param {Object} details Passed to the callbacks [optional]
+	 */
+	emit(name, details) {
+		// Loop trough all registered events
+		for (let e = 0; e < this._events.length; e++) {
+			// Call appropriate callbacks
+			if (this._events[e].name === name) {
+				this._events[e].callback.call(this, details);
+			}
+		}
+	}
+
+	/**
+	 * Helper method: update the direction and the velocity after the scroll position has changed.
+	 * The direction doesn't change, if the position is still the same (e.g. on resize)
+	 * or if the user scrolls back less than the configured tolerance.
+	 * @return {Boolean} Has the direction changed?
+	 * @private
+	 */
+	_updateDirection() {
+		const previousUpdate = this._previousUpdate;
+		const now = Date.now();
+		const distance = this.position - this._directionPosition;
+
+		// Pixels per second since the previous update
+		this.velocity =
+			now > previousUpdate.time ? ((this.position - previousUpdate.position) / (now - previousUpdate.time)) * 1000 : 0;
+		previousUpdate.position = this.position;
+		previousUpdate.time = now;
+
+		if (distance !== 0 && distance > 0 === (this.direction === this._edge.forward)) {
+			// The user keeps scrolling in the same direction
+			this._directionPosition = this.position;
+		} else if (Math.abs(distance) > this._config.directionTolerance) {
+			// The user has scrolled back far enough, the direction changes
+			this._directionPosition = this.position;
+			this.direction = distance > 0 ? this._edge.forward : this._edge.backward;
+			return true;
+		}
+
+		return false;
+	}
+
+	/**
+	 * Helper method: get the element, which receives the direction attribute
+	 * @return {HTMLElement}
+	 * @private
+	 */
+	_getDirectionElement() {
+		return this._container === this._window ? this._document.documentElement : this._container;
+	}
+
+	/**
+	 * Helper method: change the URL hash in the history.
+	 * Pushes a new history entry, if the history config option is set to 'push'.
+	 * If scrolling to top, the hash can be removed from the url.
+	 * @param {String} id ID of the element, which should be the new hash [optional]
+	 * @private
+	 */
+	_writeHistory(id) {
+		const win = this._window;
+		// Browsers percent-encode the hash, e.g. #über becomes #%C3%BCber
+		const hash = id ? '#' + encodeURIComponent(id) : '';
+
+		// Does the browser support the history API and has the hash changed?
+		// The hash may be encoded differently, e.g. if it has been set by a link, so the IDs are compared
+		if (!win.history.replaceState || this._getHashId(win.location.hash) === (id || '')) return;
+
+		// Get the current url, without the hash
+		const currentUrl = win.location.href.replace(win.location.hash, '');
+
+		win.history[this._config.history == 'push' ? 'pushState' : 'replaceState'](null, null, id ? hash : currentUrl);
+		this._currentHash = win.location.hash;
+	}
+
+	/**
+	 * Helper method: get the ID of the element, which a URL hash refers to
+	 * @param {String} hash e.g. '#%C3%BCber'
+	 * @return {String} e.g. 'über', an empty string for an empty hash
+	 * @private
+	 */
+	_getHashId(hash) {
+		const id = hash.replace('#', '');
+
+		try {
+			return decodeURIComponent(id);
+		} catch (error) {
+			// Malformed hashes (e.g. #%E0%A4%A) can't be decoded and are used as they are
+			return id;
+		}
+	}
+
+	/**
+	 * Helper method: scroll to the element of the current URL hash.
+	 * Called for back and forward navigation or if the hash has been changed.
+	 * The configured top offset is respected, so fixed headers won't cover the element.
+	 * @param {Boolean} smooth Set to false to jump to the element immediately [optional]
+	 * @private
+	 */
+	_followHistory(smooth) {
+		// popstate and hashchange may both occur for the same navigation
+		if (this._window.location.hash === this._currentHash) return;
+		this._currentHash = this._window.location.hash;
+
+		// Scroll to the element or to top, if there is no hash
+		const id = this._getHashId(this._currentHash);
+		if (!id || this._document.getElementById(id)) this.scrollTo(id, smooth);
+	}
+
+	/**
+	 * Helper method: scroll to an emitter element relative to the active one.
+	 * Continues from the current target, if the previous call is still scrolling.
+	 * @param {Number} step 1 for the next emitter element, -1 for the previous one
+	 * @return {Promise}
+	 * @private
+	 */
+	_scrollBy(step) {
+		const ids = this._getEmitterIds();
+		// Without an active emitter element (index -1), the next one is the first one
+		const id = ids[ids.indexOf(this._targetId || this._activeId) + step];
+
+		if (!id) return typeof Promise === 'undefined' ? undefined : Promise.resolve(false);
+
+		return this._scrollToTarget(id);
+	}
+
+	/**
+	 * Helper method: scroll to an emitter element and remember it as the target,
+	 * so the next or previous method continues from there, while scrolling.
+	 * @param {String} id ID of the emitter element
+	 * @return {Promise}
+	 * @private
+	 */
+	_scrollToTarget(id) {
+		this._targetId = id;
+		const scrolling = this.scrollTo(id);
+
+		// Older browsers don't support promises, the next call starts from the active emitter element
+		if (!scrolling) {
+			this._targetId = null;
+			return;
+		}
+
+		return scrolling.then(completed => {
+			if (this._targetId === id) this._targetId = null;
+			return completed;
+		});
+	}
+
+	/**
+	 * Helper method: get the IDs of all emitter elements in document order
+	 * @return {Array}
+	 * @private
+	 */
+	_getEmitterIds() {
+		const emitters = this._emitters;
+
+		// 4 means DOCUMENT_POSITION_FOLLOWING: the second element comes after the first one
+		return Object.keys(emitters).sort((a, b) =>
+			emitters[a].element.compareDocumentPosition(emitters[b].element) & 4 ? -1 : 1
+		);
+	}
+
+	/**
+	 * Helper method: scroll to the next or previous emitter element, if a configured key has been pressed.
+	 * Keys are ignored inside form fields and in combination with modifier keys,
+	 * so typing and browser shortcuts keep working.
+	 * @param {Object} event Automatically passed by the event listener
+	 * @private
+	 */
+	_handleKeyboard(event) {
+		const config = this._config;
+		const keys = config.keyboard === true ? { next: ['j'], previous: ['k'] } : config.keyboard || {};
+		const target = event.target;
+		let step = this._getKeyStep(keys, event.key);
+
+		if (event.defaultPrevented || event.altKey || event.ctrlKey || event.metaKey) return;
+		if (target.isContentEditable || /^(INPUT|TEXTAREA|SELECT)$/.test(target.tagName)) return;
+
+		// Arrow and page keys turn the page in paging mode, unless the page continues beyond the viewport
+		if (!step && config.paging) {
+			step = this._getKeyStep(
+				config.axis == 'x'
+					? { next: ['ArrowRight', 'PageDown'], previous: ['ArrowLeft', 'PageUp'] }
+					: { next: ['ArrowDown', 'PageDown'], previous: ['ArrowUp', 'PageUp'] },
+				event.key
+			);
+			if (step && !this._canTurnPage(step)) return;
+		}
+
+		if (!step) return;
+		event.preventDefault();
+		if (step > 0) this.next();
+		else this.previous();
+	}
+
+	/**
+	 * Helper method: find out, in which direction a key moves
+	 * @param {Object} keys Keys for the next and the previous emitter element, e.g. { next: ['j'], previous: ['k'] }
+	 * @param {String} key Pressed key (see KeyboardEvent.key)
+	 * @return {Number} 1 for the next emitter element, -1 for the previous one, 0 for other keys
+	 * @private
+	 */
+	_getKeyStep(keys, key) {
+		if (keys.next && keys.next.indexOf(key) >= 0) return 1;
+		if (keys.previous && keys.previous.indexOf(key) >= 0) return -1;
+		return 0;
+	}
+
+	/**
+	 * Helper method: turn the page with the first wheel event of a movement (see paging config option).
+	 * Trackpads and inertia scrolling report many events for a single movement,
+	 * a new movement starts after a short pause.
+	 * @param {Object} event Automatically passed by the event listener
+	 * @private
+	 */
+	_handleWheel(event) {
+		const now = Date.now();
+		const isNewMovement = now - this._lastWheel > 150;
+		const delta = this._config.axis == 'x' ? event.deltaX || event.deltaY : event.deltaY;
+		const step = delta > 0 ? 1 : -1;
+
+		// Pinch zooming is reported as a wheel event with the ctrl key
+		if (event.ctrlKey || !delta || !this._canTurnPage(step)) return;
+
+		event.preventDefault();
+		this._lastWheel = now;
+		if (isNewMovement) this._scrollBy(step);
+	}
+
+	/**
+	 * Helper method: turn the page after a swipe (see paging config option).
+	 * Native scrolling is prevented while swiping, so the page doesn't move twice.
+	 * @param {Object} event Automatically passed by the event listener
+	 * @private
+	 */
+	_handleTouch(event) {
+		const touch = event.changedTouches[0];
+		const coordinate = this._config.axis == 'x' ? 'clientX' : 'clientY';
+
+		// Gestures with multiple fingers (e.g. pinch zooming) are left to the browser
+		if (event.type == 'touchstart') {
+			this._touchStart = event.touches.length == 1 ? touch[coordinate] : null;
+			return;
+		}
+		if (this._touchStart === null) return;
+
+		// Swiping up (or left) moves to the next emitter element
+		const distance = this._touchStart - touch[coordinate];
+		const step = distance > 0 ? 1 : -1;
+
+		if (!distance || !this._canTurnPage(step)) return;
+
+		if (event.type == 'touchmove') {
+			event.preventDefault();
+		} else {
+			this._touchStart = null;
+			// Taps and tiny movements aren't swipes
+			if (Math.abs(distance) > 30) this._scrollBy(step);
+		}
+	}
+
+	/**
+	 * Helper method: should a wheel movement, a swipe or a key turn the page?
+	 * Pages, which are larger than the viewport, are scrolled natively until their end has been reached.
+	 * CSS scroll snapping is left to the browser as well.
+	 * @param {Number} step 1 for the next emitter element, -1 for the previous one
+	 * @return {Boolean}
+	 * @private
+	 */
+	_canTurnPage(step) {
+		const emitter = this._emitters[this._activeId];
+		const position = this._getScrollPosition();
+
+		if (this._hasNativeSnap()) return false;
+		// Keep turning pages, while scrolling to the next one
+		if (!emitter || this._targetId) return true;
+
+		// Pages are aligned at the top offset (see scrollTo method)
+		const alignedPosition = position + this._getTopOffset();
+		return step > 0
+			? emitter.layout.end <= alignedPosition + this._getViewportSize()
+			: emitter.layout.start >= alignedPosition - 1;
+	}
+
+	/**
+	 * Helper method: snap to the nearest emitter element, after the user has stopped scrolling (see paging config option).
+	 * Nothing happens while scrolling to a target, if the user prefers reduced motion
+	 * or if the current page fills the viewport.
+	 * @private
+	 */
+	_snap() {
+		const emitters = this._emitters;
+		const position = this._getScrollPosition();
+		const topOffset = this._getTopOffset();
+		const maxPosition = this._getMaxScrollPosition();
+		let nearestId = null;
+		let nearestDistance = Infinity;
+
+		if (this._targetId || this._cancelAnimation || this._hasNativeSnap()) return;
+		// Without motion, a sudden jump after scrolling would be irritating
+		if (this._window.matchMedia('(prefers-reduced-motion)').matches) return;
+
+		for (const e in emitters) {
+			const layout = emitters[e].layout;
+
+			// The user is reading a page, which is larger than the viewport
+			if (layout.start < position + topOffset - 1 && layout.end > position + topOffset + this._getViewportSize())
+				return;
+
+			// Same position as the scrollTo method, but the browser can't scroll beyond the end of the container
+			const target = Math.min(Math.max(layout.start - topOffset + 1, 0), maxPosition);
+			if (Math.abs(target - position) < nearestDistance) {
+				nearestId = e;
+				nearestDistance = Math.abs(target - position);
+			}
+		}
+
+		if (nearestId && nearestDistance > 1) this._scrollToTarget(nearestId);
+	}
+
+	/**
+	 * Helper method: does the container use CSS scroll snapping?
+	 * @return {Boolean}
+	 * @private
+	 */
+	_hasNativeSnap() {
+		const elements =
+			this._container === this._window ? [this._document.documentElement, this._document.body] : [this._container];
+
+		for (let e = 0; e < elements.length; e++) {
+			const type = elements[e] ? this._window.getComputedStyle(elements[e]).getPropertyValue('scroll-snap-type') : '';
+			if (type && type != 'none') return true;
+		}
+		return false;
+	}
+
+	/**
+	 * Helper method: update the index of the current page and call pagechange callbacks (see paging config option)
+	 * @private
+	 */
+	_updatePage() {
+		const previousPage = this.page;
+
+		if (this._activeId === this._pageId) return;
+		this._pageId = this._activeId;
+		this.page = this._activeId ? this._getEmitterIds().indexOf(this._activeId) : -1;
+
+		if (this.page !== previousPage) {
+			this.emit('pagechange', {
+				page: this.page,
+				previousPage: previousPage,
+				id: this._activeId,
+				emitter: this._activeId ? this._emitters[this._activeId].element : null
+			});
+		}
+	}
+
+	/**
+	 * Helper method: scroll to a position, smoothly if possible.
+	 * @param {Number} endPosition Scroll position in pixels
+	 * @param {Function} done Receives true, when the position has been reached, or false, if interrupted
+	 * @param {Boolean} smooth Set to false to jump to the position immediately [optional]
+	 * @private
+	 */
+	_scroll(endPosition, done, smooth) {
+		const config = this._config;
+		const container = this._container;
+		const win = this._window;
+
+		// Stop a running animation, the new one takes over
+		if (this._cancelAnimation) this._cancelAnimation();
+
+		// The reduced motion media query provides a method to disable motion at the browser level
+		// If the user has turned this option on, scrolling should not be smooth
+		const userAllowsMotion = smooth !== false && !win.matchMedia('(prefers-reduced-motion)').matches;
+		// The browser can't scroll beyond the start or the end of the container
+		const target = Math.min(Math.max(endPosition, 0), this._getMaxScrollPosition());
+
+		// Forget the animation, when it has finished
+		const finish = completed => {
+			this._cancelAnimation = null;
+			done(completed);
+		};
+
+		// Should the built-in animation be used and does the user allow motion?
+		if (config.smoothScroll == 'js' && userAllowsMotion) {
+			// Scroll to the position - smoothly, with the configured duration and easing
+			this._cancelAnimation = animateScroll(
+				win,
+				container,
+				config.axis,
+				target,
+				config.duration,
+				config.easing,
+				finish
+			);
+		} else if ((this._supportsSmoothScrolling || config.smoothScroll === true) && userAllowsMotion) {
+			// Scroll to the position - smoothly!
+			// Horizontal scrolling keeps the vertical position
+			container.scrollTo(
+				config.axis == 'x'
+					? { left: endPosition, behavior: 'smooth' }
+					: { top: endPosition, left: 0, behavior: 'smooth' }
+			);
+			// Native smooth scrolling doesn't report its end
+			this._waitForScrollEnd(target, done);
+		} else {
+			if (container === win) {
+				// Scroll to the position - not smoothly, but it works
+				if (config.axis == 'x') win.scrollTo(endPosition, win.scrollY);
+				else win.scrollTo(0, endPosition);
+			} else {
+				// Older browsers don't support scrollTo on elements
+				container[config.axis == 'x' ? 'scrollLeft' : 'scrollTop'] = endPosition;
+			}
+			done(true);
+		}
+	}
+
+	/**
+	 * Helper method: wait until the container has stopped scrolling.
+	 * Scrolling is considered to be finished, if no scroll event occurs for a short time.
+	 * @param {Number} target Scroll position in pixels
+	 * @param {Function} done Receives true, if the position has been reached, otherwise false
+	 * @private
+	 */
+	_waitForScrollEnd(target, done) {
+		const container = this._container;
+		const check = defer(
+			function() {
+				container.removeEventListener('scroll', check);
+				done(Math.abs(this._getScrollPosition() - target) < 1);
+			},
+			this,
+			150,
+			true
+		);
+		container.addEventListener('scroll', check);
+		// Start waiting immediately, no scroll event occurs, if the position has already been reached
+		check();
+	}
+
+	/**
+	 * Helper method: emit an event for each emitter element, whose state has changed since the last update.
+	 * The event is called 'activate' or 'deactivate', depending on the new state.
+	 * @param {Boolean} active Emit events for activated (true) or deactivated (false) emitter elements
+	 * @private
+	 */
+	_emitTransitions(active) {
+		const name = active ? 'activate' : 'deactivate';
+		// Details measure the emitter element, which is unnecessary without callbacks
+		const hasEvent = this._hasEvent(name);
+
+		for (const e in this._emitters) {
+			// Only emit an event once per transition
+			if (this._emitters[e].active !== active || this._emitters[e].wasActive === active) continue;
+
+			this._emitters[e].wasActive = active;
+
+			if (hasEvent) this.emit(name, this._getDetails(e));
+		}
+	}
+
+	/**
+	 * Helper method: get the state of an emitter element
+	 * @param {Object} emitter Emitter object
+	 * @return {'past'|'current'|'future'}
+	 * @private
+	 */
+	_getState(emitter) {
+		if (emitter.active) return 'current';
+		return emitter.reached ? 'past' : 'future';
+	}
+
+	/**
+	 * Helper method: add a state to a listener or emitter element.
+	 * The DOM is only touched, if the state has changed since the last time.
+	 * @param {Object} item Listener or emitter object, which remembers its last state
+	 * @param {'past'|'current'|'future'} state New state
+	 * @param {Boolean} isListener Is it a listener element? Only those receive aria-current [optional]
+	 * @private
+	 */
+	_applyState(item, state, isListener) {
+		const config = this._config;
+
+		if (item.state === state) return;
+		item.state = state;
+
+		// Add or remove the attribute for active elements
+		const attributeCurrent = this._getAttributeCurrent(item);
+		if (attributeCurrent) {
+			if (state == 'current') item.element.setAttribute(attributeCurrent, '');
+			else item.element.removeAttribute(attributeCurrent);
+		}
+
+		// Set the state as the value of an attribute
+		if (config.attributeState) item.element.setAttribute(config.attributeState, state);
+
+		// Replace the class of the previous state
+		if (config.classState) {
+			for (const s in config.classState) {
+				if (s != state && config.classState[s]) item.element.classList.remove(config.classState[s]);
+			}
+			if (config.classState[state]) item.element.classList.add(config.classState[state]);
+		}
+
+		// Tell assistive technology, which listener element belongs to the active emitter element
+		if (config.ariaCurrent && isListener) {
+			if (state == 'current') item.element.setAttribute('aria-current', this._getAriaCurrent());
+			else item.element.removeAttribute('aria-current');
+		}
+	}
+
+	/**
+	 * Helper method: add or remove the attribute for ancestors of active emitter elements.
+	 * The DOM is only touched, if it has changed since the last time.
+	 * @param {Object} item Listener or emitter object, which remembers its last state
+	 * @param {Boolean} isAncestor Does the emitter element contain an active emitter element?
+	 * @private
+	 */
+	_applyAncestor(item, isAncestor) {
+		const attributeAncestor = this._config.attributeAncestor;
+
+		if (!attributeAncestor || item.appliedAncestor === isAncestor) return;
+		item.appliedAncestor = isAncestor;
+
+		if (isAncestor) item.element.setAttribute(attributeAncestor, '');
+		else item.element.removeAttribute(attributeAncestor);
+	}
+
+	/**
+	 * Helper method: remove all states from a listener or emitter element
+	 * @param {Object} item Listener or emitter object
+	 * @param {Boolean} isListener Is it a listener element? Only those have received aria-current [optional]
+	 * @private
+	 */
+	_clearState(item, isListener) {
+		const config = this._config;
+		const element = item.element;
+		const attributeCurrent = this._getAttributeCurrent(item);
+
+		if (config.ariaCurrent && isListener) element.removeAttribute('aria-current');
+		if (attributeCurrent) element.removeAttribute(attributeCurrent);
+		if (config.attributeAncestor) element.removeAttribute(config.attributeAncestor);
+		if (config.attributeState) element.removeAttribute(config.attributeState);
+		for (const s in config.classState) {
+			if (config.classState[s]) element.classList.remove(config.classState[s]);
+		}
+	}
+
+	/**
+	 * Helper method: get the attribute for active elements.
+	 * Listener and emitter elements may override the attributeCurrent config option (see attributeOptions config option).
+	 * @param {Object} item Listener or emitter object
+	 * @return {String|Boolean}
+	 * @private
+	 */
+	_getAttributeCurrent(item) {
+		return item.options && item.options.current !== null ? item.options.current : this._config.attributeCurrent;
+	}
+
+	/**
+	 * Helper method: read the options of a listener or emitter element, which override the config.
+	 * The attribute names start with the attributeOptions config option, e.g. data-scroll-offset.
+	 * @param {HTMLElement} element
+	 * @return {Object|null} Null, if the element has no options
+	 * @private
+	 */
+	_readOptions(element) {
+		const prefix = this._config.attributeOptions;
+		const readNumber = name => {
+			const value = parseFloat(element.getAttribute(prefix + name));
+			return isNaN(value) ? null : value;
+		};
+		const readFlag = name => {
+			const value = element.getAttribute(prefix + name);
+			return value !== null && value !== 'false';
+		};
+
+		if (!prefix) return null;
+
+		const current = element.getAttribute(prefix + '-current');
+		const options = {
+			offsetTop: readNumber('-offset'),
+			offsetBottom: readNumber('-offset-bottom'),
+			visible: readFlag('-visible'),
+			once: readFlag('-once'),
+			// An empty value or false means, that no attribute should be added
+			current: current === null ? null : current && current !== 'false' ? current : false
+		};
+
+		if (
+			options.offsetTop === null &&
+			options.offsetBottom === null &&
+			!options.visible &&
+			!options.once &&
+			current === null
+		) {
+			return null;
+		}
+		return options;
+	}
+
+	/**
+	 * Helper method: should a state be added to listener or emitter elements?
+	 * @return {Boolean}
+	 * @private
+	 */
+	_hasOutput() {
+		const config = this._config;
+		return !!(
+			config.attributeCurrent ||
+			config.attributeAncestor ||
+			config.attributeState ||
+			config.classState ||
+			config.ariaCurrent
+		);
+	}
+
+	/**
+	 * Helper method: get the value of the aria-current attribute
+	 * @return {String}
+	 * @private
+	 */
+	_getAriaCurrent() {
+		return this._config.ariaCurrent === true ? 'location' : this._config.ariaCurrent;
+	}
+
+	/**
+	 * Helper method: announce the active emitter element in the live region.
+	 * Uses the text of its first heading, unless the announce config option is a function.
+	 * Nothing is announced, if the active emitter element hasn't changed since the last announcement.
+	 * @private
+	 */
+	_announce() {
+		const id = this._activeId;
+
+		if (!this._liveRegion || !id || id === this._announcedId || !this._emitters[id]) return;
+		this._announcedId = id;
+
+		const emitter = this._emitters[id].element;
+		let text;
+
+		if (typeof this._config.announce === 'function') {
+			text = this._config.announce.call(this, this._getDetails(id));
+		} else {
+			// Fall back to the label of the emitter element, if it has no heading
+			const heading = emitter.querySelector('h1, h2, h3, h4, h5, h6');
+			text = heading ? heading.textContent.trim() : emitter.getAttribute('aria-label');
+		}
+
+		if (text) this._liveRegion.textContent = text;
+	}
+
+	/**
+	 * Helper method: create a visually hidden live region, which is read by screen readers
+	 * @return {HTMLElement}
+	 * @private
+	 */
+	_createLiveRegion() {
+		const region = this._document.createElement('div');
+
+		region.setAttribute('aria-live', 'polite');
+		region.setAttribute('aria-atomic', 'true');
+		region.style.cssText =
+			'position: absolute; width: 1px; height: 1px; margin: -1px; padding: 0; border: 0;' +
+			'overflow: hidden; clip: rect(0, 0, 0, 0); white-space: nowrap;';
+		this._document.body.appendChild(region);
+
+		return region;
+	}
+
+	/**
+	 * Helper method: get the details of an emitter element, which are passed to callbacks
+	 * @param {String} id ID of the emitter element
+	 * @return {Object}
+	 * @private
+	 */
+	_getDetails(id) {
+		const emitter = this._emitters[id];
+
+		return {
+			id: id,
+			emitter: emitter.element,
+			listeners: this._getListenerElements(id),
+			direction: this.direction,
+			// Use the known progress or the cached position, the DOM may have been changed already
+			// Measuring the emitter element again would force the browser to calculate the layout
+			progress: 'progress' in emitter ? emitter.progress : this._getProgress(emitter, emitter.layout, this._offsets)
+		};
+	}
+
+	/**
+	 * Helper method: get the distances between the edges of the viewport and the detection lines.
+	 * If multiple emitter elements can be active at the same time,
+	 * every element inside the viewport (- offsets) should be active.
+	 * Otherwise only the lowest element, that has been reached by the user
+	 * and is therefore above the viewport (- top offset), should be active.
+	 * @param {Number} offsetTop Current top offset
+	 * @param {Number} offsetBottom Current bottom offset
+	 * @param {Boolean} isVisible Should the emitter element be active while it is visible?
+	 * @return {Object}
+	 * @private
+	 */
+	_getMargin(offsetTop, offsetBottom, isVisible) {
+		return {
+			top: isVisible ? this._getViewportSize() - offsetBottom : offsetTop,
+			bottom: offsetTop
+		};
+	}
+
+	/**
+	 * Helper method: get the offsets of an emitter element.
+	 * Its own offsets override the configured ones (see attributeOptions config option).
+	 * Offset elements cover the emitter element anyway, so their height is added to its own top offset.
+	 * @param {Object} emitter
+	 * @param {Object} offsets Current offsets (see _offsets property)
+	 * @return {Object} Top and bottom offset
+	 * @private
+	 */
+	_getEmitterOffsets(emitter, offsets) {
+		const options = emitter.options;
+
+		return {
+			top: options && options.offsetTop !== null ? options.offsetTop + offsets.covered : offsets.top,
+			bottom: options && options.offsetBottom !== null ? options.offsetBottom : offsets.bottom
+		};
+	}
+
+	/**
+	 * Helper method: calculate the progress of an emitter element with its own offsets
+	 * @param {Object} emitter
+	 * @param {Object} layout Start and end of the emitter element inside the container
+	 * @param {Object} offsets Current offsets (see _offsets property)
+	 * @param {Number} position Scroll position [default: the position of the last update]
+	 * @return {Number} Progress between 0 and 1
+	 * @private
+	 */
+	_getProgress(emitter, layout, offsets, position) {
+		const emitterOffsets = this._getEmitterOffsets(emitter, offsets);
+		return this._calculateProgress(layout, emitterOffsets.top, emitterOffsets.bottom, position);
+	}
+
+	/**
+	 * Helper method: calculate the progress of an emitter element
+	 * @param {Object} layout Start and end of the emitter element inside the container
+	 * @param {Number} offsetTop Current top offset
+	 * @param {Number} offsetBottom Current bottom offset
+	 * @param {Number} position Scroll position [default: the position of the last update]
+	 * @return {Number} Progress between 0 and 1
+	 * @private
+	 */
+	_calculateProgress(layout, offsetTop, offsetBottom, position) {
+		// The progress starts, when the top of the emitter element reaches this line
+		const start = (position === undefined ? this.position : position) + offsetTop;
+		// Scroll distance between the start and the end of the progress
+		const distance = layout.end - layout.start - (this._getViewportSize() - offsetTop - offsetBottom);
+
+		// Small emitter elements fit between the offsets, they are either done or not
+		if (distance <= 0) return layout.start <= start ? 1 : 0;
+
+		return Math.min(Math.max((start - layout.start) / distance, 0), 1);
+	}
+
+	/**
+	 * Helper method: measure the positions of all emitter elements and cache them.
+	 * Updates only compare the scroll position with these numbers, nothing is measured while scrolling.
+	 * The positions need to be measured again, whenever the layout changes (see _schedule method).
+	 * @private
+	 */
+	_measureEmitters() {
+		const emitters = this._emitters;
+
+		if (!this._initialized) return;
+
+		// Bounding rects are relative to the viewport, not to the scrolling container
+		const offset = this._getScrollPosition() - this._getContainerOffset();
+
+		this._hasEmitterOptions = false;
+		for (const e in emitters) {
+			emitters[e].layout = this._getLayout(emitters[e].element, offset);
+			if (emitters[e].options) this._hasEmitterOptions = true;
+		}
+
+		// Sort emitter elements by their position, emitter elements at the same position in document order
+		// 4 means DOCUMENT_POSITION_FOLLOWING: the second element comes after the first one
+		this._sortedIds = Object.keys(emitters).sort(
+			(a, b) =>
+				emitters[a].layout.start - emitters[b].layout.start ||
+				(emitters[a].element.compareDocumentPosition(emitters[b].element) & 4 ? -1 : 1)
+		);
+		// The order may have changed, every emitter element needs to be updated
+		this._reachedCount = null;
+
+		this._findParents();
+	}
+
+	/**
+	 * Helper method: find the closest emitter element, which contains an emitter element.
+	 * Emitter elements are nested, if their elements are nested in the DOM, e.g. subsections inside a chapter.
+	 * @private
+	 */
+	_findParents() {
+		const emitters = this._emitters;
+
+		this._hasNesting = false;
+		for (const e in emitters) {
+			let parent = emitters[e].element.parentNode;
+
+			emitters[e].parentId = null;
+			emitters[e].ancestor = false;
+			while (parent && parent.nodeType === 1) {
+				if (parent.id && emitters[parent.id] && emitters[parent.id].element === parent) {
+					emitters[e].parentId = parent.id;
+					this._hasNesting = true;
+					break;
+				}
+				parent = parent.parentNode;
+			}
+		}
+	}
+
+	/**
+	 * Helper method: mark every emitter element, which contains an active emitter element
+	 * @private
+	 */
+	_updateAncestors() {
+		const emitters = this._emitters;
+
+		for (const e in emitters) {
+			emitters[e].ancestor = false;
+		}
+		for (const a in emitters) {
+			if (!emitters[a].active) continue;
+
+			let id = emitters[a].parentId;
+			while (id && emitters[id] && !emitters[id].ancestor) {
+				emitters[id].ancestor = true;
+				id = emitters[id].parentId;
+			}
+		}
+	}
+
+	/**
+	 * Helper method: get the start and the end of an element inside the container
+	 * @param {HTMLElement} element
+	 * @param {Number} offset Distance between the viewport and the start of the scrollable area
+	 * @return {Object}
+	 * @private
+	 */
+	_getLayout(element, offset) {
+		const rect = element.getBoundingClientRect();
+		return { start: rect[this._edge.start] + offset, end: rect[this._edge.end] + offset };
+	}
+
+	/**
+	 * Helper method: find the lowest emitter element, that has been reached by the user.
+	 * The sorted emitter elements are searched by their cached positions (binary search).
+	 * Only emitter elements between the previous and the current one change their state.
+	 * @param {Number} margin Distance between the top of the viewport and the detection line
+	 * @param {Number} bottomPosition Every emitter element has been reached below this position
+	 * @return {String|null} ID of the emitter element
+	 * @private
+	 */
+	_findReached(margin, bottomPosition) {
+		const emitters = this._emitters;
+		const ids = this._sortedIds;
+		const previousCount = this._reachedCount;
+		let low = 0;
+		let high = ids.length;
+
+		// Every emitter element has been reached at the bottom of the page
+		if (this.position >= bottomPosition) low = high;
+
+		// Count the emitter elements, whose top is above the detection line
+		while (low < high) {
+			const middle = (low + high) >>> 1;
+			if (this.position >= Math.max(emitters[ids[middle]].layout.start - margin, 0)) low = middle + 1;
+			else high = middle;
+		}
+
+		// Include the previous and the current active emitter element
+		const from = previousCount === null ? 0 : Math.max(Math.min(previousCount, low) - 1, 0);
+		const to = previousCount === null ? ids.length : Math.max(previousCount, low);
+
+		for (let i = from; i < to; i++) {
+			const emitter = emitters[ids[i]];
+			emitter.reached = i < low;
+			// Emitter elements stay active, if the rewind config option is set to false
+			if (i === low - 1) emitter.active = true;
+			else if (this._config.rewind) emitter.active = false;
+		}
+
+		this._reachedCount = low;
+
+		return low ? ids[low - 1] : null;
+	}
+
+	/**
+	 * Helper method: watch the sizes of all emitter elements, offset elements and of the page (or the container).
+	 * Elements inside the container may move, if the size of the scrollable area changes.
+	 * @private
+	 */
+	_observeSizes() {
+		const observer = this._resizeObserver;
+
+		if (!observer) return;
+
+		observer.disconnect();
+		observer.observe(this._container === this._window ? this._document.documentElement : this._container);
+		for (const e in this._emitters) {
+			observer.observe(this._emitters[e].element);
+		}
+		// The top offset changes with the height of offset elements
+		for (let o = 0; o < this._offsetElements.length; o++) {
+			observer.observe(this._offsetElements[o]);
+		}
+	}
+
+	/**
+	 * Helper method: register a scroll-driven animation
+	 * @param {HTMLElement} element Animated element
+	 * @param {Object} options Keyframes, start, end and easing (see animate method)
+	 * @param {Boolean} declarative Has it been declared via attributes? Those are found again on refresh
+	 * @return {Object} Animation object
+	 * @private
+	 */
+	_addAnimation(element, options, declarative) {
+		const easing = options.easing || 'linear';
+		const animation = {
+			element: element,
+			from: keyframes.parse(options.from),
+			to: keyframes.parse(options.to),
+			start: 'start' in options ? options.start : null,
+			end: 'end' in options ? options.end : null,
+			easing: typeof easing === 'function' ? easing : easings[easing] || easings.linear,
+			declarative: declarative,
+			// Scroll positions, where the animation starts and ends (see _measureAnimations method)
+			range: null,
+			progress: null,
+			// Styles, which have been written to the element
+			styles: {}
+		};
+
+		this._animations.push(animation);
+
+		return animation;
+	}
+
+	/**
+	 * Helper method: unregister a scroll-driven animation and remove its styles
+	 * @param {Object} animation Animation object
+	 * @private
+	 */
+	_removeAnimation(animation) {
+		const index = this._animations.indexOf(animation);
+
+		if (index < 0) return;
+		this._animations.splice(index, 1);
+		this._clearAnimation(animation);
+	}
+
+	/**
+	 * Helper method: remove the styles, which an animation has written to its element
+	 * @param {Object} animation Animation object
+	 * @private
+	 */
+	_clearAnimation(animation) {
+		for (const s in animation.styles) {
+			animation.element.style.removeProperty(s);
+		}
+		animation.styles = {};
+	}
+
+	/**
+	 * Helper method: find all elements with keyframe attributes (see attributeKeyframes config option).
+	 * Known elements keep the styles, which have already been written.
+	 * @private
+	 */
+	_findAnimations() {
+		const prefix = this._config.attributeKeyframes;
+		const container = this._container;
+		const previousAnimations = [];
+		const found = this._document.querySelectorAll('[' + prefix + '-from], [' + prefix + '-to]');
+
+		// Forget declared animations, they are created again
+		for (let a = this._animations.length - 1; a >= 0; a--) {
+			if (this._animations[a].declarative) previousAnimations.push(this._animations.splice(a, 1)[0]);
+		}
+
+		for (let f = 0; f < found.length; f++) {
+			const element = found[f];
+
+			// Elements outside of the scrolling container are left to other instances
+			if (container !== this._window && !container.contains(element)) continue;
+
+			const options = {
+				from: element.getAttribute(prefix + '-from'),
+				to: element.getAttribute(prefix + '-to'),
+				easing: element.getAttribute(prefix + '-easing')
+			};
+
+			if (element.hasAttribute(prefix + '-start')) options.start = parseFloat(element.getAttribute(prefix + '-start'));
+			if (element.hasAttribute(prefix + '-end')) options.end = parseFloat(element.getAttribute(prefix + '-end'));
+
+			const animation = this._addAnimation(element, options, true);
+
+			// Keep the written styles of known elements, so they aren't written again
+			for (let p = previousAnimations.length - 1; p >= 0; p--) {
+				if (previousAnimations[p].element === element) animation.styles = previousAnimations.splice(p, 1)[0].styles;
+			}
+		}
+
+		// Remove the styles of elements, which don't have keyframe attributes anymore
+		for (let r = 0; r < previousAnimations.length; r++) {
+			this._clearAnimation(previousAnimations[r]);
+		}
+	}
+
+	/**
+	 * Helper method: calculate the scroll positions, where each animation starts and ends.
+	 * Elements are measured without the transforms of their animations, otherwise they would move their own range.
+	 * All styles are changed at once before and after measuring, so the browser calculates the layout only once.
+	 * @private
+	 */
+	_measureAnimations() {
+		const animations = this._animations;
+		const edge = this._edge;
+
+		if (!this._initialized || !animations.length) return;
+
+		// Bounding rects are relative to the viewport, not to the scrolling container
+		const offset = this._getScrollPosition() - this._getContainerOffset();
+		const viewportSize = this._getViewportSize();
+
+		for (let t = 0; t < animations.length; t++) {
+			if (animations[t].styles.transform) animations[t].element.style.removeProperty('transform');
+		}
+
+		for (let m = 0; m < animations.length; m++) {
+			const animation = animations[m];
+			const rect = animation.element.getBoundingClientRect();
+
+			animation.range = {
+				// The element enters the viewport at its end (e.g. bottom)
+				start: this._getAnimationPosition(animation.start, animation.element, rect[edge.start] + offset - viewportSize),
+				// The element leaves the viewport at its start (e.g. top)
+				end: this._getAnimationPosition(animation.end, animation.element, rect[edge.end] + offset)
+			};
+			// The range has changed, the styles need to be calculated again
+			animation.progress = null;
+		}
+
+		for (let r = 0; r < animations.length; r++) {
+			if (animations[r].styles.transform) animations[r].element.style.transform = animations[r].styles.transform;
+		}
+	}
+
+	/**
+	 * Helper method: get the start or end position of an animation.
+	 * It can be the return value of a given function.
+	 * @param {Number|function|null} position Configured position
+	 * @param {HTMLElement} element Animated element, passed to a given function
+	 * @param {Number} fallback Measured position, if no position is configured
+	 * @return {Number}
+	 * @private
+	 */
+	_getAnimationPosition(position, element, fallback) {
+		if (typeof position === 'function') return position.call(this, element);
+		return typeof position === 'number' && !isNaN(position) ? position : fallback;
+	}
+
+	/**
+	 * Helper method: calculate the progress of all animations at the current scroll position.
+	 * Nothing is measured, the ranges are known. A frame is requested, if any progress has changed.
+	 * @private
+	 */
+	_updateAnimations() {
+		let hasChanged = false;
+
+		for (let a = 0; a < this._animations.length; a++) {
+			const animation = this._animations[a];
+			const range = animation.range;
+
+			// The animation hasn't been measured yet
+			if (!range) continue;
+
+			const distance = range.end - range.start;
+			const progress =
+				distance > 0
+					? Math.min(Math.max((this.position - range.start) / distance, 0), 1)
+					: Number(this.position >= range.start);
+
+			if (progress === animation.progress) continue;
+			animation.progress = progress;
+			hasChanged = true;
+		}
+
+		if (hasChanged) this._schedule('render');
+	}
 
 	/**
-	 * List of all available listener elements
-	 * @type {Array}
+	 * Helper method: add a task for the next animation frame.
+	 * Multiple calls before the next frame only lead to a single update.
+	 * @param {'measure'|'update'|'render'} task Measure and update everything, only update everything or write the styles of animations
+	 * @private
 	 */
-	var listeners = [];
+	_schedule(task) {
+		this._tasks[task] = true;
+		this._requestFrame();
+	}
 
 	/**
-	 * List of all available emitter elements.
-	 * Each emitter element has a unique ID,
-	 * so a "real" object is used for storing their data.
-	 * @type {Object}
+	 * Helper method: request an animation frame, which runs all scheduled tasks
+	 * @private
 	 */
-	var emitters = {};
+	_requestFrame() {
+		const win = this._window;
+		const callback = () => {
+			this._runFrame();
+		};
+
+		if (this._frame) return;
+
+		// Older browsers don't support animation frames, a timeout of a similar length is used instead
+		this._frame = win.requestAnimationFrame ? win.requestAnimationFrame(callback) : win.setTimeout(callback, 16);
+	}
 
 	/**
-	 * List of all registered event handlers
-	 * @type {Array}
+	 * Helper method: run all scheduled tasks inside an animation frame.
+	 * Styles of animations are written in the same frame as the update, which has calculated them.
+	 * If the throttleDelay config option is set, updates are postponed to a later frame.
+	 * @private
 	 */
-	var events = [];
+	_runFrame() {
+		const tasks = this._tasks;
+
+		// The layout has changed, cached positions need to be measured again
+		if (tasks.measure) {
+			tasks.measure = false;
+			// The top offset may have changed as well, intersection observers need new root margins
+			if (this._supportsIntersectionObserver && this._offsetElements.length) this._observeEmitters();
+			this._measureEmitters();
+			this._measureAnimations();
+			tasks.update = true;
+		}
+
+		if (tasks.update && Date.now() - this._previousUpdate.time >= this._config.throttleDelay) {
+			tasks.update = false;
+			this.update();
+		}
+
+		if (tasks.render) {
+			tasks.render = false;
+			this._renderAnimations();
+		}
+
+		this._frame = null;
+
+		// A postponed update waits for the next frame
+		if (tasks.update) this._requestFrame();
+	}
 
 	/**
-	 * Merged config, user config overrides default conig
-	 * @type {Object}
+	 * Helper method: cancel the requested animation frame and all scheduled tasks
+	 * @private
 	 */
-	var config = {};
+	_cancelFrame() {
+		const win = this._window;
 
-	// Overwrite default config properties where necessary
-	for (var c in defaultConfig) {
-		// Copy the property to the "real" config object
-		config[c] = userConfig && c in userConfig ? userConfig[c] : defaultConfig[c];
+		if (this._frame) {
+			if (win.cancelAnimationFrame) win.cancelAnimationFrame(this._frame);
+			else win.clearTimeout(this._frame);
+		}
+		this._frame = null;
+		this._tasks.measure = false;
+		this._tasks.update = false;
+		this._tasks.render = false;
 	}
 
-	// Deprecated: support old offset config option
-	if (userConfig.offset) {
-		config.offsetTop = userConfig.offset;
+	/**
+	 * Helper method: write the interpolated styles of all animations.
+	 * Only styles, which have changed since the last frame, are written.
+	 * @private
+	 */
+	_renderAnimations() {
+		for (let a = 0; a < this._animations.length; a++) {
+			const animation = this._animations[a];
+
+			if (animation.progress === null) continue;
+
+			const styles = keyframes.interpolate(animation.from, animation.to, animation.easing(animation.progress));
+
+			for (const s in styles) {
+				if (animation.styles[s] === styles[s]) continue;
+				animation.styles[s] = styles[s];
+				animation.element.style.setProperty(s, styles[s]);
+			}
+		}
 	}
 
-	// Deprecated: support old offsetFrom config option
-	if (userConfig.offsetFrom) {
-		config.offsetTop = function() {
-			var offset = userConfig.offset ? userConfig.offset : 0;
-			return document.querySelector(userConfig.offsetFrom).offsetHeight + offset;
-		};
+	/**
+	 * Helper method: get the current value of an offset config option.
+	 * It can be the return value of a given function.
+	 * @param {String} name Name of the config option, e.g. 'offsetTop'
+	 * @return {Number}
+	 * @private
+	 */
+	_getOffset(name) {
+		return typeof this._config[name] === 'function' ? this._config[name].call(this) : this._config[name];
 	}
 
 	/**
-	 * Does the browser support smooth scroll behaviour?
-	 * @type {Boolean}
+	 * Helper method: get the current top offset.
+	 * It includes the height of offset elements, which cover the top of the container.
+	 * @return {Number}
+	 * @private
 	 */
-	var supportsSmoothScrolling = config.smoothScroll == 'auto' && 'scrollBehavior' in document.documentElement.style;
+	_getTopOffset() {
+		return this._getOffset('offsetTop') + this._getElementsOffset();
+	}
 
 	/**
-	 * Current scroll position in pixels.
-	 * Global property, available inside event listeners.
-	 * @type {Number}
+	 * Helper method: get the height of all offset elements, which cover the top of the container.
+	 * Elements count, if they touch the top edge or the elements above them, e.g. a banner and a header.
+	 * This way sticky elements only count, if they are stuck, and fixed footers don't count at all.
+	 * @return {Number}
+	 * @private
 	 */
-	this.position = 0;
+	_getElementsOffset() {
+		const edge = this._edge;
+		const containerOffset = this._getContainerOffset();
+		const rects = [];
+		let offset = 0;
+
+		if (!this._offsetElements.length) return 0;
+
+		for (let o = 0; o < this._offsetElements.length; o++) {
+			const rect = this._offsetElements[o].getBoundingClientRect();
+			// Hidden elements don't cover anything
+			if (rect[edge.end] > rect[edge.start]) {
+				rects.push({ start: rect[edge.start] - containerOffset, end: rect[edge.end] - containerOffset });
+			}
+		}
+
+		rects.sort((a, b) => a.start - b.start);
+
+		for (let r = 0; r < rects.length; r++) {
+			// There is a gap, the remaining elements don't cover the top
+			if (rects[r].start > offset + 1) break;
+			offset = Math.max(offset, rects[r].end);
+		}
+
+		return offset;
+	}
 
 	/**
-	 * Current scroll position in percent (0-100).
-	 * Global property, available inside event listeners.
-	 * @type {Number}
+	 * Helper method: find all offset elements (see offsetElements config option)
+	 * @return {Array}
+	 * @private
 	 */
-	this.status = 0;
+	_findOffsetElements() {
+		const config = this._config.offsetElements;
+		const items = Array.isArray(config) ? config : [config];
+		const elements = [];
+
+		for (let i = 0; i < items.length; i++) {
+			const found = typeof items[i] === 'string' ? this._document.querySelectorAll(items[i]) : [items[i]];
+			for (let f = 0; f < found.length; f++) {
+				if (found[f] && elements.indexOf(found[f]) < 0) elements.push(found[f]);
+			}
+		}
+
+		return elements;
+	}
 
 	/**
-	 * Initializes everything for the first usage.
-	 * Updates emitter and listener elements for the first time.
-	 * This method will be called automatically.
+	 * Helper method: get the scroll position, which brings an element to the top offset
+	 * @param {HTMLElement} element
+	 * @return {Number}
+	 * @private
 	 */
-	this.init = function() {
-		// Create fresh data for emitters and listeners
-		this.refresh();
+	_getTargetPosition(element) {
+		// Get the position of the element, relative to the current position
+		// The position property may lag behind until the next frame, so the container is asked directly
+		// Subtract the calculated offsetTop and add one extra pixel to trigger linked listener elements
+		return (
+			element.getBoundingClientRect()[this._edge.start] -
+			this._getContainerOffset() +
+			this._getScrollPosition() -
+			this._getTopOffset() +
+			1
+		);
+	}
 
-		/**
-		 * Update emitter and listener elements if the user changes the window size.
-		 * Usually the update method won't get called while resizing the window, but afterwards.
-		 * This prevents unnecessary function calls and improves the overall performance.
-		 */
-		window.addEventListener('resize', defer(this.update, this, 200, true));
-		window.addEventListener('orientationchange', defer(this.update, this, 200, true));
+	/**
+	 * Helper method: get all listener elements, that are linked to an emitter element.
+	 * Returns all registered listener elements, if no ID is passed.
+	 * @param {String} id ID of the emitter element [optional]
+	 * @return {Array}
+	 * @private
+	 */
+	_getListenerElements(id) {
+		const elements = [];
+		for (let l = 0; l < this._listeners.length; l++) {
+			if (!id || this._listeners[l].emitterId === id) elements.push(this._listeners[l].element);
+		}
+		return elements;
+	}
 
-		/**
-		 * Update emitter and listener elements if the user scrolls.
-		 * The update method will get called at a limited rate (X times per second).
-		 * This prevents unnecessary function calls and improves the overall performance.
-		 */
-		window.addEventListener('scroll', defer(this.update, this, config.throttleDelay, false));
-	};
+	/**
+	 * Helper method: is there at least one callback for an event?
+	 * @param {String} name Name of the event
+	 * @return {Boolean}
+	 * @private
+	 */
+	_hasEvent(name) {
+		for (let e = 0; e < this._events.length; e++) {
+			if (this._events[e].name === name) return true;
+		}
+		return false;
+	}
 
 	/**
-	 * Finds all listener and emitter elements in the DOM.
-	 * Needs to be called again when emitter or listener elements.
-	 * are removed or added to the DOM
+	 * Helper method: register a listener element and its emitter element.
+	 * Adds an event listener for smooth scrolling, if it hasn't been added before.
+	 * @param {HTMLElement} element Listener element
+	 * @param {Object} previousEmitters Known emitter elements, whose state should be kept [optional]
+	 * @private
 	 */
-	this.refresh = function() {
-		// Find all listener elements by attribute of choice
-		var foundListeners = document.querySelectorAll('[' + config.attribute + ']');
+	_addListener(element, previousEmitters) {
+		const config = this._config;
+		const container = this._container;
 
-		// Process listener elements, if at least one exists
-		if (foundListeners.length > 0) {
-			// Empty stored data, because this method may be called again
-			listeners = [];
-			emitters = {};
+		// Does the element have a href attribute and does it contain a page anchor?
+		const href = element.getAttribute('href');
+		const listenerHref = href && href.indexOf('#') == 0 ? href.replace('#', '') : '';
+		/**
+		 * Find the corresponding emitter element (by ID).
+		 * If the href attribute is a page anchor, it will be used to find the emitter element.
+		 * Otherwise the configured attribute will be used.
+		 */
+		const emitterId = listenerHref ? listenerHref : element.getAttribute(config.attribute);
+		const emitter = emitterId ? this._document.getElementById(emitterId) : null;
 
-			// Loop trough all found listener elements
-			for (var f = foundListeners.length - 1; f >= 0; f--) {
-				// Does the element have a href attribute and does it contain a page anchor?
-				var href = foundListeners[f].getAttribute('href');
-				var listenerHref = href && href.indexOf('#') == 0 ? href.replace('#', '') : '';
-				/**
-				 * Find the corresponding emitter element (by ID).
-				 * If the href attribute is a page anchor, it will be used to find the emitter element.
-				 * Otherwise the configured attribute will be used.
-				 */
-				var emitterId = listenerHref ? listenerHref : foundListeners[f].getAttribute(config.attribute);
-				var emitter = emitterId ? document.getElementById(emitterId) : null;
-
-				// Add an event listener for smooth scrolling
-				// A valid listener element or a scroll to top link is required
-				if (config.smoothScroll !== false && (listenerHref || href == '#')) {
-					/**
-					 * An existing emitter isn't required, because a "scroll to top" link should be possible.
-					 * In that case, an empty scroll reaction attribute is used.
-					 * Example: <a href="#" data-scroll-reaction="">
-					 * If the event listener is already defined on the object, it will not be added again (named function)
-					 */
-					foundListeners[f].addEventListener('click', scrollSmoothly);
-				}
+		// Emitter elements outside of the scrolling container are left to other instances
+		// This allows multiple instances to watch different containers on the same page
+		if (emitter && container !== this._window && !container.contains(emitter)) return;
 
-				// Does the emitter element exist?
-				// Listener elements without linked emitter elements aren't allowed, they would be useles
-				if (emitter) {
-					// Create a new emitter object
-					// If the emitter is already known, it will be overriden
-					emitters[emitterId] = {
-						element: emitter,
-						active: false
-					};
-					// Add the listener object to the corresponding array
-					// It's possible to have multiple listener elements linked to the same emitter element
-					listeners.push({
-						element: foundListeners[f],
-						emitterId: emitterId
-					});
-				}
+		// Add an event listener for smooth scrolling
+		// A valid listener element or a scroll to top link is required
+		if (config.smoothScroll !== false && (listenerHref || href == '#') && this._links.indexOf(element) < 0) {
+			/**
+			 * An existing emitter isn't required, because a "scroll to top" link should be possible.
+			 * In that case, an empty scroll reaction attribute is used.
+			 * Example: <a href="#" data-scroll-reaction="">
+			 */
+			element.addEventListener('click', this._scrollSmoothly);
+			// Remember the element to be able to remove the event listener later
+			this._links.push(element);
+		}
+
+		// Does the emitter element exist?
+		// Listener elements without linked emitter elements aren't allowed, they would be useles
+		// The emitter element may be added later, which is detected by the observe config option
+		if (!emitter) {
+			if (emitterId) this._pendingListeners.push(element);
+			return;
+		}
+
+		// Create a new emitter object, if the emitter is not already known
+		if (!this._emitters[emitterId] || this._emitters[emitterId].element !== emitter) {
+			// Is it the same emitter element as before the refresh?
+			let previous = previousEmitters && previousEmitters[emitterId];
+			if (previous && previous.element !== emitter) previous = null;
+
+			this._emitters[emitterId] = {
+				element: emitter,
+				active: false,
+				// State of the last activate or deactivate event
+				// Prevents duplicate events for the same transition
+				wasActive: previous ? previous.wasActive : false,
+				// Last state reported by the intersection observers
+				observed: previous ? previous.observed : { top: 0, reached: false, surpassed: false },
+				// Cached position inside the container (see _measureEmitters method)
+				layout: previous ? previous.layout : { start: 0, end: 0 },
+				// ID of the closest emitter element, which contains this one (see _findParents method)
+				parentId: previous ? previous.parentId : null,
+				// Does this emitter element contain an active emitter element?
+				ancestor: false,
+				// Options, which override the config (see attributeOptions config option)
+				options: this._readOptions(emitter)
+			};
+
+			// Observe the new emitter element, if observers are already running
+			for (const o in this._observers) {
+				if (this._observers[o]) this._observers[o].observe(emitter);
 			}
+			if (this._resizeObserver) this._resizeObserver.observe(emitter);
 		}
 
-		// Update all elements, just in case the user has already scrolled
-		// This can happen when the URL contans a page anchor (e.g. #link)
-		this.update();
-	};
+		// Add the listener object to the corresponding array
+		// It's possible to have multiple listener elements linked to the same emitter element
+		this._listeners.push({
+			element: element,
+			emitterId: emitterId,
+			options: this._readOptions(element)
+		});
+	}
 
 	/**
-	 * Updates everything to reflect the current scroll position
+	 * Helper method: unregister a listener element.
+	 * Its emitter element will be unregistered as well, if no other listener element is linked to it.
+	 * @param {HTMLElement} element Listener element
+	 * @private
 	 */
-	this.update = function() {
-		// Calculate the highest possible scroll position (bottom of the page)
-		var windowBottomPosition = document.body.clientHeight - window.innerHeight;
-		// Include the offset for the bottom of the page
-		var bottomPosition = windowBottomPosition - config.windowBottomOffset;
-		// Reference to the last emitter element
-		// The list of emitter elements may be in random order, we need to find the lowest emitter element
-		var lastEmitter = {
-			id: null,
-			position: -1
-		};
+	_removeListener(element) {
+		const pendingListeners = this._pendingListeners;
+		const links = this._links;
+		let emitterId = null;
+		let listener = { element: element, options: null };
 
-		// Get the current scroll position (how far has the user scrolled?)
-		this.position = window.scrollY;
-		// Update the status: How far has the user scrolled?
-		// Math.min fixes rounding errors: The status can't be >100%
-		this.status = Math.min((this.position / windowBottomPosition) * 100, 100);
+		// Remove the element from all lists
+		for (let l = this._listeners.length - 1; l >= 0; l--) {
+			if (this._listeners[l].element === element) {
+				emitterId = this._listeners[l].emitterId;
+				listener = this._listeners[l];
+				this._listeners.splice(l, 1);
+			}
+		}
+		if (pendingListeners.indexOf(element) >= 0) pendingListeners.splice(pendingListeners.indexOf(element), 1);
+		if (links.indexOf(element) >= 0) {
+			element.removeEventListener('click', this._scrollSmoothly);
+			links.splice(links.indexOf(element), 1);
+		}
 
-		// Call any update callback, if set
-		this.emit('update');
+		// The element may stay in the DOM, so its state and progress should be removed
+		this._clearState(listener, true);
+		if (this._config.progressProperty) element.style.removeProperty(this._config.progressProperty);
 
-		// Abort, if no attribute should be added for listener elements
-		// This increases the performance, because unnecessary code is skipped
-		if (!config.attributeCurrent) return;
+		// Remove the emitter element, if it isn't needed anymore
+		if (emitterId && !this._getListenerElements(emitterId).length) this._removeEmitter(emitterId);
+	}
+
+	/**
+	 * Helper method: unregister an emitter element.
+	 * @param {String} id ID of the emitter element
+	 * @private
+	 */
+	_removeEmitter(id) {
+		const emitter = this._emitters[id];
 
-		// Update the top offset, it can be the return value of a given function
-		var offsetTop = typeof config.offsetTop === 'function' ? config.offsetTop.call(this) : config.offsetTop;
-		// Update the bottom offset, it can be the return value of a given function
-		var offsetBottom = typeof config.offsetBottom === 'function' ? config.offsetBottom.call(this) : config.offsetBottom;
+		for (const o in this._observers) {
+			if (this._observers[o]) this._observers[o].unobserve(emitter.element);
+		}
+		if (this._resizeObserver) this._resizeObserver.unobserve(emitter.element);
+		delete this._emitters[id];
 
-		/**
-		 * If multiple emitter elements can be active at the same time,
-		 * every element inside the viewport (- offsets) should be active.
-		 * Otherwise only the lowest element, that has been reached by the user
-		 * and is therefore above the viewport (- top offset), should be active.
-		 */
-		var margin = {
-			top: config.multiple ? window.innerHeight - offsetBottom : offsetTop,
-			bottom: offsetTop
-		};
+		// The cached order stays valid without the removed emitter element, until it is measured again
+		const index = this._sortedIds.indexOf(id);
+		if (index >= 0) this._sortedIds.splice(index, 1);
+		this._reachedCount = null;
 
-		// Loop trough all emitter elements
-		for (var e in emitters) {
-			// Get the Y coordinates of the emitter element on the page
-			// Respect the viewport offsets
-			var emitterPosition = {
-				top: Math.max(emitters[e].element.getBoundingClientRect().top + this.position - margin.top, 0),
-				bottom: Math.max(emitters[e].element.getBoundingClientRect().bottom + this.position - margin.bottom, 0)
-			};
+		if (this._config.markEmitters) this._clearState(emitter);
+
+		// An active emitter element can't stay active, if it is gone
+		if (emitter.wasActive) {
+			this.emit('deactivate', {
+				id: id,
+				emitter: emitter.element,
+				listeners: [],
+				direction: this.direction,
+				progress: emitter.progress || 0
+			});
+		}
+	}
+
+	/**
+	 * Helper method: process DOM changes, that have been reported by the mutation observer.
+	 * Only affected listener and emitter elements will be updated.
+	 * @param {Array} mutations Automatically passed by the mutation observer
+	 * @private
+	 */
+	_handleMutations(mutations) {
+		const config = this._config;
+		// Have any IDs been added, changed or removed?
+		let hasChangedIds = false;
+		// Listener elements, which should be registered (again)
+		let foundListeners = [];
+		const selector = '[' + config.attribute + ']';
+		// Registered listener objects before the changes, new objects are created for changed listener elements
+		const previousListeners = this._listeners.slice();
+
+		for (let m = 0; m < mutations.length; m++) {
+			const mutation = mutations[m];
+
+			if (mutation.type == 'attributes') {
+				if (mutation.attributeName == 'id') {
+					hasChangedIds = true;
+				} else {
+					// The linked emitter element may have changed, register the listener element again
+					if (this._isListener(mutation.target) || this._links.indexOf(mutation.target) >= 0) {
+						this._removeListener(mutation.target);
+					}
+					if (mutation.target.hasAttribute(config.attribute)) foundListeners.push(mutation.target);
+				}
+				continue;
+			}
+
+			// Unregister all listener elements inside removed nodes
+			for (let r = 0; r < mutation.removedNodes.length; r++) {
+				const removed = mutation.removedNodes[r];
+				if (removed.nodeType !== 1) continue;
 
-			// Has the user reached the calculated position of the emitter element?
-			// Or has the user scrolled all the way to the bottom of the page?
-			var hasReachedEmitter = this.position >= emitterPosition.top || this.position >= bottomPosition;
-			var hasSurpassedEmitter = this.position > emitterPosition.bottom;
-
-			// If this emitter element is visible and the multiple config option is set to true,
-			// it will be marked as active, even if it is not the only element, that has been reached by the user
-			if (hasReachedEmitter && !hasSurpassedEmitter && config.multiple) {
-				// Mark this emitter element as currently active
-				emitters[e].active = true;
-			} else if (config.rewind) {
-				// Mark this emitter element as not active (anymore)
-				// This shouldn't happen, if rewind config option is set to false
-				emitters[e].active = false;
+				const knownElements = this._links.concat(this._pendingListeners, this._getListenerElements());
+				for (let k = 0; k < knownElements.length; k++) {
+					if (removed.contains(knownElements[k])) this._removeListener(knownElements[k]);
+				}
+				// Removed emitter elements are detected by their IDs
+				hasChangedIds = true;
 			}
 
-			// Store a reference to the lowest emitter element, that has been reached by the user
-			if (hasReachedEmitter && emitterPosition.top > lastEmitter.position) {
-				lastEmitter.id = e;
-				lastEmitter.position = emitterPosition.top;
+			// Find all listener elements inside added nodes
+			for (let a = 0; a < mutation.addedNodes.length; a++) {
+				const added = mutation.addedNodes[a];
+				if (added.nodeType !== 1) continue;
+
+				if (added.hasAttribute(config.attribute)) foundListeners.push(added);
+				const children = added.querySelectorAll(selector);
+				for (let c = 0; c < children.length; c++) {
+					foundListeners.push(children[c]);
+				}
+				// Added emitter elements are detected by their IDs
+				hasChangedIds = true;
 			}
 		}
 
-		// The lowest emitter element, that has been reached by the user, should always be active
-		if (lastEmitter.id) {
-			emitters[lastEmitter.id].active = true;
+		if (hasChangedIds) {
+			// Unregister emitter elements, which have been removed or whose ID has changed
+			// Their listener elements will wait for a new emitter element
+			for (const e in this._emitters) {
+				if (this._document.getElementById(e) === this._emitters[e].element) continue;
+
+				const elements = this._getListenerElements(e);
+				for (let i = 0; i < elements.length; i++) {
+					this._removeListener(elements[i]);
+					if (this._document.documentElement.contains(elements[i])) foundListeners.push(elements[i]);
+				}
+			}
+			// Try to find the emitter elements of waiting listener elements again
+			foundListeners = foundListeners.concat(this._pendingListeners);
+			this._pendingListeners = [];
 		}
 
-		// Loop trough all listener elements
-		for (var l in listeners) {
-			var emitter = emitters[listeners[l].emitterId];
-			var listener = listeners[l];
+		// Register all found listener elements, each one only once
+		for (let f = 0; f < foundListeners.length; f++) {
+			if (foundListeners.indexOf(foundListeners[f]) < f || this._isListener(foundListeners[f])) continue;
 
-			// Is the linked emitter element currently active?
-			if (emitter.active) {
-				// Add the configured attribute to the listener element
-				listener.element.setAttribute(config.attributeCurrent, '');
-			} else {
-				// Remove the attribute, because the emitter is not currently active
-				listener.element.removeAttribute(config.attributeCurrent);
+			this._addListener(foundListeners[f]);
+		}
+
+		// Other DOM changes (e.g. announcements in the live region) don't affect listener and emitter elements
+		const listeners = this._listeners;
+		let hasChanged = listeners.length !== previousListeners.length;
+		for (let l = 0; !hasChanged && l < listeners.length; l++) {
+			hasChanged = listeners[l] !== previousListeners[l];
+		}
+
+		// Cache the positions of the new emitter elements, the order may have changed as well
+		if (hasChanged) this._schedule('measure');
+	}
+
+	/**
+	 * Helper method: is the element already registered as a listener element?
+	 * @param {HTMLElement} element
+	 * @return {Boolean}
+	 * @private
+	 */
+	_isListener(element) {
+		for (let l = 0; l < this._listeners.length; l++) {
+			if (this._listeners[l].element === element) return true;
+		}
+		return this._pendingListeners.indexOf(element) >= 0;
+	}
+
+	/**
+	 * Helper method: remove the event listeners from the window and the container
+	 * @private
+	 */
+	_removeEventListeners() {
+		const handlers = this._handlers;
+
+		if (handlers.resize) {
+			this._window.removeEventListener('resize', handlers.resize);
+			this._window.removeEventListener('orientationchange', handlers.resize);
+		}
+		if (handlers.scroll) {
+			this._container.removeEventListener('scroll', handlers.scroll);
+		}
+		if (handlers.history) {
+			this._window.removeEventListener('popstate', handlers.history);
+			this._window.removeEventListener('hashchange', handlers.history);
+		}
+		if (handlers.keyboard) {
+			this._window.removeEventListener('keydown', handlers.keyboard);
+		}
+		if (handlers.wheel) {
+			this._container.removeEventListener('wheel', handlers.wheel, { passive: false });
+		}
+		if (handlers.touch) {
+			this._container.removeEventListener('touchstart', handlers.touch, { passive: true });
+			this._container.removeEventListener('touchmove', handlers.touch, { passive: false });
+			this._container.removeEventListener('touchend', handlers.touch);
+		}
+		if (handlers.load) {
+			this._window.removeEventListener('load', handlers.load);
+			this._document.removeEventListener('load', handlers.load, true);
+			if (this._document.fonts && this._document.fonts.removeEventListener) {
+				this._document.fonts.removeEventListener('loadingdone', handlers.load);
 			}
 		}
-	};
+		handlers.resize = null;
+		handlers.scroll = null;
+		handlers.history = null;
+		handlers.keyboard = null;
+		handlers.wheel = null;
+		handlers.touch = null;
+		handlers.load = null;
+	}
 
 	/**
-	 * Scrolls to an element with a given ID.
-	 * Scrolls to top, if no ID is specified.
-	 * @param {String} id ID of the element the browser should scroll to [optional]
+	 * Helper method: update everything after the window has been resized.
+	 * The offsets and the size of the viewport may have changed,
+	 * so intersection observers need new root margins and animations need new ranges.
+	 * Emitter elements may have moved as well.
+	 * @private
 	 */
-	this.scrollTo = function(id) {
-		// Find the corresponding element
-		var element = id ? document.getElementById(id) : null;
-		// Scroll to top by default
-		var endPosition = 0;
-		// Current URL for history API
-		var currentUrl;
+	_resize() {
+		if (this._supportsIntersectionObserver) this._observeEmitters();
+		this._measureEmitters();
+		this._measureAnimations();
+		this.update();
+	}
 
-		// Does the element exist?
-		if (element) {
-			// Update the top offset, it can be the return value of a given function
-			var offsetTop = typeof config.offsetTop === 'function' ? config.offsetTop.call(this) : config.offsetTop;
+	/**
+	 * Helper method: (re)create intersection observers for all emitter elements.
+	 * Each observer watches an area, that reaches far beyond one edge of the container.
+	 * This way the reported state is always correct, even if the user jumps across an emitter element.
+	 * @private
+	 */
+	_observeEmitters() {
+		const observers = this._observers;
 
-			// Get the position of the element, relative to the current position
-			// Subtract the calculated offsetTop and add one extra pixel to trigger linked listener elements
-			endPosition = element.getBoundingClientRect().top + this.position - offsetTop + 1;
+		// Remove existing observers, their root margins may be outdated
+		this._disconnectObservers();
 
-			// Focus the element for screen readers (accessibility)
-			// This allows the user to navigate to the next element via keyboard
-			element.focus({ preventScroll: true });
-			// If the element isn't focusable, add tabindex="-1" and try again
-			if (document.activeElement !== element) {
-				element.setAttribute('tabindex', '-1');
-				element.focus({ preventScroll: true });
-			}
+		const viewportSize = this._getViewportSize();
+		// Update the offsets, they can be the return value of a given function
+		const offsetTop = this._getTopOffset();
+		const offsetBottom = this._getOffset('offsetBottom');
+		// Every emitter element inside the container can be reached within this distance
+		const extent = this._getScrollSize() + viewportSize;
+		// Emitter elements above this line have been reached (see margin in update method)
+		const line = this._config.multiple ? viewportSize - offsetBottom : offsetTop;
+		// Observe the viewport, if the window is the scrolling element
+		const root = this._container === this._window ? null : this._container;
+
+		// Reports emitter elements above the line
+		observers.reach = new this._window.IntersectionObserver(
+			entries => {
+				this._storeIntersections(entries, 'reached', true);
+			},
+			{ root: root, rootMargin: this._getRootMargin(extent, line - viewportSize) }
+		);
+
+		// Reports emitter elements, whose bottom edge is below the top offset
+		// This is only relevant, if multiple emitter elements can be active at the same time
+		if (this._config.multiple) {
+			observers.surpass = new this._window.IntersectionObserver(
+				entries => {
+					this._storeIntersections(entries, 'surpassed', false);
+				},
+				{ root: root, rootMargin: this._getRootMargin(-offsetTop, extent) }
+			);
 		}
 
-		// Does the browser support the history API?
-		if (window.history.replaceState) {
-			// Get the current url, without the hash
-			currentUrl = window.location.href.replace(window.location.hash, '');
-			// Change the state in the history
-			// If scrolling to top, the hash can be removed from the url
-			window.history.replaceState(null, null, id ? '#' + id : currentUrl);
+		// Observe all emitter elements
+		for (const e in this._emitters) {
+			observers.reach.observe(this._emitters[e].element);
+			if (observers.surpass) observers.surpass.observe(this._emitters[e].element);
 		}
+	}
 
-		// The reduced motion media query provides a method to disable motion at the browser level
-		// If the user has turned this option on, scrolling should not be smooth
-		var userAllowsMotion = !window.matchMedia('(prefers-reduced-motion)').matches;
+	/**
+	 * Helper method: stop observing all emitter elements
+	 * @private
+	 */
+	_disconnectObservers() {
+		for (const o in this._observers) {
+			if (this._observers[o]) this._observers[o].disconnect();
+			this._observers[o] = null;
+		}
+	}
 
-		// Is smooth scrolling supported or forced (config) and does the user allow motion?
-		if ((supportsSmoothScrolling || config.smoothScroll === true) && userAllowsMotion) {
-			// Scroll to the position - smoothly!
-			window.scrollTo({ top: endPosition, left: 0, behavior: 'smooth' });
-		} else {
-			// Scroll to the position - not smoothly, but it works
-			window.scrollTo(0, endPosition);
+	/**
+	 * Helper method: store the state reported by an intersection observer.
+	 * Updates the listener elements afterwards.
+	 * @param {Array} entries Automatically passed by the intersection observer
+	 * @param {String} property Name of the state, e.g. 'reached'
+	 * @param {Boolean} isIntersecting Value of the state for intersecting emitter elements
+	 * @private
+	 */
+	_storeIntersections(entries, property, isIntersecting) {
+		// Bounding rects are relative to the viewport, not to the scrolling container
+		const offset = this._getScrollPosition() - this._getContainerOffset();
+
+		for (let i = 0; i < entries.length; i++) {
+			// Emitter elements are stored by their ID
+			const emitter = this._emitters[entries[i].target.id];
+
+			// The emitter element may have been removed by a refresh in the meantime
+			if (!emitter) continue;
+
+			emitter.observed[property] = entries[i].isIntersecting === isIntersecting;
+			// Remember the position to find the lowest emitter element, that has been reached by the user
+			emitter.observed.top = entries[i].boundingClientRect[this._edge.start] + offset;
 		}
-	};
+
+		// Apply the new state to all listener elements
+		this.update();
+	}
 
 	/**
-	 * Helper function: scroll smoothly, if the user clicks on a listener link.
-	 * Needs to be called from an onclick event listener.
-	 * @param {Object} event Automatically passed by the event listener
+	 * Helper method: create a root margin for intersection observers on the configured axis
+	 * @param {Number} start Margin at the top (or left) edge in pixels
+	 * @param {Number} end Margin at the bottom (or right) edge in pixels
+	 * @return {String}
+	 * @private
 	 */
-	var scrollSmoothly = function(event) {
-		// Get the ID of the element (without the hash symbol)
-		var id = this.getAttribute('href').replace('#', '');
+	_getRootMargin(start, end) {
+		return this._config.axis == 'x' ? '0px ' + end + 'px 0px ' + start + 'px' : start + 'px 0px ' + end + 'px 0px';
+	}
 
-		// Prevent default behaviour (jumping to #link)
-		event.preventDefault();
+	/**
+	 * Helper method: find the window and the document.
+	 * They can be passed via the window and document config options, e.g. for jsdom.
+	 * Otherwise the global objects are used, if they exist.
+	 * @return {Boolean} Is there a DOM to work with?
+	 * @private
+	 */
+	_resolveEnvironment() {
+		const config = this._config;
 
-		// Call any click callback, if set
-		self.emit('click');
+		this._window =
+			config.window ||
+			(config.document && config.document.defaultView) ||
+			(typeof window !== 'undefined' ? window : null);
+		this._document = config.document || (this._window ? this._window.document : null);
 
-		// Scroll to the desired location
-		// Needs to be called with the correct scope, because scrollTo is an internal method
-		self.scrollTo(id);
-	};
+		if (!this._window || !this._document) return false;
+
+		// Check for browser features, which can't be detected without a DOM
+		this._supportsSmoothScrolling =
+			config.smoothScroll == 'auto' && 'scrollBehavior' in this._document.documentElement.style;
+		this._supportsIntersectionObserver = config.detection == 'intersection' && 'IntersectionObserver' in this._window;
+
+		return true;
+	}
 
 	/**
-	 * Sets a callback with access to Scroll Reactions properties (via this).
-	 * Advanced scroll effects rely on multiple event listeners.
-	 * Pass 'update' as the event name to call the callback on each update.
-	 * Pass 'click' to call the callback whenever the user clicks on a smooth scroll link.
-	 * @param {String} name Name of the event, e.g. 'update' or 'click'
-	 * @param {Function} callback Function to be called
+	 * Helper method: find the scrolling element.
+	 * Falls back to the window, if no container is configured or the selector doesn't match.
+	 * @return {Window|HTMLElement}
+	 * @private
 	 */
-	this.on = function(name, callback) {
-		// Abort, if the callback is not a valid function
-		if (typeof callback !== 'function') return;
+	_getContainer() {
+		const container = this._config.container;
+		const element = typeof container === 'string' ? this._document.querySelector(container) : container;
+		return element || this._window;
+	}
 
-		// Assign the callback with the correct this binding
-		events.push({ name: name, callback: callback });
+	/**
+	 * Helper method: get the current scroll position of the container in pixels
+	 * @return {Number}
+	 * @private
+	 */
+	_getScrollPosition() {
+		const container = this._container;
+		if (this._config.axis == 'x') return container === this._window ? this._window.scrollX : container.scrollLeft;
+		return container === this._window ? this._window.scrollY : container.scrollTop;
+	}
 
-		// Call update callback on initialization
-		if (name == 'update') callback.call(this);
-	};
+	/**
+	 * Helper method: get the visible height (or width) of the container in pixels
+	 * @return {Number}
+	 * @private
+	 */
+	_getViewportSize() {
+		const container = this._container;
+		if (this._config.axis == 'x') return container === this._window ? this._window.innerWidth : container.clientWidth;
+		return container === this._window ? this._window.innerHeight : container.clientHeight;
+	}
 
 	/**
-	 * Emits an event and calls linked event listeners.
-	 * Used internally, e.g. in the update method.
-	 * @param {String} name Name of the event
+	 * Helper method: get the full scrollable height (or width) of the container in pixels
+	 * @return {Number}
+	 * @private
 	 */
-	this.emit = function(name) {
-		// Loop trough all registered events
-		for (var e = 0; e < events.length; e++) {
-			// Call appropriate callbacks
-			if (events[e].name === name) {
-				events[e].callback.call(this);
-			}
+	_getScrollSize() {
+		const container = this._container;
+		if (this._config.axis == 'x') {
+			return container === this._window ? this._document.documentElement.scrollWidth : container.scrollWidth;
+		}
+		return container === this._window ? this._document.body.clientHeight : container.scrollHeight;
+	}
+
+	/**
+	 * Helper method: get the highest possible scroll position of the container in pixels
+	 * @return {Number}
+	 * @private
+	 */
+	_getMaxScrollPosition() {
+		const container = this._container;
+		if (container !== this._window) {
+			return this._config.axis == 'x'
+				? container.scrollWidth - container.clientWidth
+				: container.scrollHeight - container.clientHeight;
 		}
-	};
+		return this._config.axis == 'x'
+			? this._document.documentElement.scrollWidth - this._window.innerWidth
+			: this._document.documentElement.scrollHeight - this._window.innerHeight;
+	}
 
-	// No need to call this manually - it just works!
-	this.init();
+	/**
+	 * Helper method: get the distance between the top (or left) of the viewport and the container.
+	 * Emitter positions need to be relative to the container (inside its border).
+	 * @return {Number}
+	 * @private
+	 */
+	_getContainerOffset() {
+		const container = this._container;
+		if (container === this._window) return 0;
+		return this._config.axis == 'x'
+			? container.getBoundingClientRect().left + container.clientLeft
+			: container.getBoundingClientRect().top + container.clientTop;
+	}
+
+	/**
+	 * Helper method: scroll smoothly, if the user clicks on a listener link.
+	 * Needs to be called from an onclick event listener, it is bound to the instance.
+	 * @param {Object} event Automatically passed by the event listener
+	 * @private
+	 */
+	_scrollSmoothly(event) {
+		// Get the ID of the element (without the hash symbol)
+		const id = event.currentTarget.getAttribute('href').replace('#', '');
+
+		// Prevent default behaviour (jumping to #link)
+		event.preventDefault();
+
+		// Call any click callback, if set
+		this.emit('click');
+
+		// Scroll to the desired location
+		this.scrollTo(id);
+	}
 
 	// Thanks for reading the source code! Have a nice day
 }
@@ -0,0 +1,101 @@
+/**
+ * Helper functions for tables of contents, which are generated from headings.
+ * Every heading needs an ID, which is used as the page anchor of its link.
+ */
+
+/**
+ * Helper function: get the level of a heading, e.g. 2 for <h2> or <div role="heading" aria-level="2">
+ * @param {HTMLElement} heading
+ * @return {Number} 1 for elements without a level
+ */
+function getLevel(heading) {
+	var level = parseInt(heading.getAttribute('aria-level'), 10);
+	var match = heading.tagName.match(/^H([1-6])$/i);
+
+	if (level > 0) return level;
+	return match ? parseInt(match[1], 10) : 1;
+}
+
+export default {
+	/**
+	 * Creates a readable ID from a text, e.g. "Über uns & more" becomes "uber-uns-more"
+	 * @param {String} text
+	 * @return {String} 'section', if the text contains no letters or digits
+	 */
+	slugify: function(text) {
+		var slug = String(text);
+
+		// Remove diacritics, if the browser supports unicode normalization
+		if (slug.normalize) slug = slug.normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+
+		slug = slug
+			.toLowerCase()
+			.replace(/[^a-z0-9]+/g, '-')
+			.replace(/^-+|-+$/g, '');
+
+		return slug || 'section';
+	},
+
+	/**
+	 * Adds an ID to a heading, if it has none.
+	 * IDs are unique inside the document: a number is appended to duplicate slugs, e.g. "usage-2".
+	 * Existing IDs are kept, so page anchors stay the same, whenever the table of contents is generated again.
+	 * @param {HTMLElement} heading
+	 * @param {Document} document
+	 * @return {String} ID of the heading
+	 */
+	identify: function(heading, document) {
+		var slug, id, count;
+
+		if (heading.id) return heading.id;
+
+		slug = this.slugify(heading.textContent);
+		id = slug;
+		for (count = 2; document.getElementById(id); count++) {
+			id = slug + '-' + count;
+		}
+		heading.id = id;
+
+		return id;
+	},
+
+	/**
+	 * Builds a nested list of links to the given headings.
+	 * Headings of a lower level (e.g. <h3> after <h2>) become a nested list inside the previous item.
+	 * @param {Array} headings Headings with an ID
+	 * @param {Document} document
+	 * @param {String} attribute Attribute for listener elements (see attribute config option)
+	 * @return {HTMLElement} <ul> element
+	 */
+	build: function(headings, document, attribute) {
+		var list = document.createElement('ul');
+		// Path from the list to the current item, each entry remembers the level and the nested list
+		var stack = [{ level: 0, item: null, list: list }];
+
+		for (var h = 0; h < headings.length; h++) {
+			var level = getLevel(headings[h]);
+			var item = document.createElement('li');
+			var link = document.createElement('a');
+
+			// Find the closest item of a higher level (e.g. the <h2> of an <h3>)
+			while (stack.length > 1 && stack[stack.length - 1].level >= level) {
+				stack.pop();
+			}
+			var parent = stack[stack.length - 1];
+			if (!parent.list) {
+				parent.list = document.createElement('ul');
+				parent.item.appendChild(parent.list);
+			}
+
+			link.setAttribute('href', '#' + headings[h].id);
+			link.setAttribute(attribute, '');
+			link.textContent = headings[h].textContent.replace(/\s+/g, ' ').trim();
+			item.appendChild(link);
+			parent.list.appendChild(item);
+
+			stack.push({ level: level, item: item, list: null });
+		}
+
+		return list;
+	}
+};
@@ -0,0 +1,132 @@
+import ScrollReaction from '../src/scroll-reaction.js';
+import { createPage } from './helpers/page.js';
+
+describe('accessibility', () => {
+	let page, reaction;
+
+	/**
+	 * Scrolls to a position and updates the instance immediately, without waiting for the throttled scroll handler
+	 * @param {Number} y Scroll position in pixels
+	 */
+	function scroll(y) {
+		page.scroll(y);
+		reaction.update();
+	}
+
+	/**
+	 * @return {HTMLElement} The live region, if it exists
+	 */
+	function liveRegion() {
+		return document.querySelector('[aria-live]');
+	}
+
+	beforeEach(() => {
+		jest.useFakeTimers();
+		page = createPage({
+			sections: [
+				{ id: 'a', height: 1000 },
+				{ id: 'b', height: 1000 },
+				{ id: 'c', height: 1000 }
+			]
+		});
+		document.getElementById('a').innerHTML = '<h2>Introduction</h2>';
+		document.getElementById('b').innerHTML = '<h2> Installation </h2><h3>Options</h3>';
+		document.getElementById('c').setAttribute('aria-label', 'License');
+	});
+
+	afterEach(() => {
+		reaction.destroy();
+		jest.useRealTimers();
+	});
+
+	describe('ariaCurrent', () => {
+		test('adds aria-current="location" to listener elements of the active emitter element', () => {
+			reaction = new ScrollReaction({ ariaCurrent: true });
+			expect(page.link('a').getAttribute('aria-current')).toBe('location');
+			expect(page.link('b').hasAttribute('aria-current')).toBe(false);
+
+			scroll(1200);
+			expect(page.link('a').hasAttribute('aria-current')).toBe(false);
+			expect(page.link('b').getAttribute('aria-current')).toBe('location');
+		});
+
+		test('uses a custom value', () => {
+			reaction = new ScrollReaction({ ariaCurrent: 'true' });
+			expect(page.link('a').getAttribute('aria-current')).toBe('true');
+		});
+
+		test('works without other attributes', () => {
+			reaction = new ScrollReaction({ ariaCurrent: true, attributeCurrent: false });
+			expect(page.link('a').getAttribute('aria-current')).toBe('location');
+			expect(page.link('a').hasAttribute('data-scroll-active')).toBe(false);
+		});
+
+		test('is not added to emitter elements', () => {
+			reaction = new ScrollReaction({ ariaCurrent: true, markEmitters: true });
+			expect(document.getElementById('a').hasAttribute('aria-current')).toBe(false);
+		});
+
+		test('is removed on destroy', () => {
+			reaction = new ScrollReaction({ ariaCurrent: true });
+			reaction.destroy();
+			expect(page.link('a').hasAttribute('aria-current')).toBe(false);
+		});
+
+		test('is not added by default', () => {
+			reaction = new ScrollReaction();
+			expect(page.link('a').hasAttribute('aria-current')).toBe(false);
+		});
+	});
+
+	describe('announce', () => {
+		test('creates a polite live region, without announcing the emitter element on page load', () => {
+			reaction = new ScrollReaction({ announce: true });
+			jest.advanceTimersByTime(300);
+			expect(liveRegion().getAttribute('aria-live')).toBe('polite');
+			expect(liveRegion().textContent).toBe('');
+		});
+
+		test('announces the heading of the active emitter element, once scrolling has settled', () => {
+			reaction = new ScrollReaction({ announce: true });
+
+			scroll(1200);
+			expect(liveRegion().textContent).toBe('');
+
+			jest.advanceTimersByTime(300);
+			expect(liveRegion().textContent).toBe('Installation');
+		});
+
+		test('only announces the emitter element, where the user has stopped', () => {
+			reaction = new ScrollReaction({ announce: true });
+
+			scroll(1200);
+			jest.advanceTimersByTime(100);
+			scroll(2200);
+			jest.advanceTimersByTime(300);
+			expect(liveRegion().textContent).toBe('License');
+		});
+
+		test('uses the text of a custom function', () => {
+			reaction = new ScrollReaction({
+				announce: function(details) {
+					return 'Section ' + details.id;
+				}
+			});
+
+			scroll(1200);
+			jest.advanceTimersByTime(300);
+			expect(liveRegion().textContent).toBe('Section b');
+		});
+
+		test('removes the live region on destroy', () => {
+			reaction = new ScrollReaction({ announce: true });
+			reaction.destroy();
+			expect(liveRegion()).toBe(null);
+		});
+
+		test('does not create a live region by default', () => {
+			reaction = new ScrollReaction();
+			expect(liveRegion()).toBe(null);
+		});
+	});
+});
@@ -0,0 +1,164 @@
+import ScrollReaction from '../src/scroll-reaction.js';
+import { createPage, mockRect } from './helpers/page.js';
+
+describe('animate', () => {
+	let page, reaction;
+
+	beforeEach(() => {
+		jest.useFakeTimers();
+		page = createPage({
+			sections: [
+				{ id: 'a', height: 1000 },
+				{ id: 'b', height: 1000 },
+				{ id: 'c', height: 1000 }
+			]
+		});
+	});
+
+	afterEach(() => {
+		reaction.destroy();
+		jest.useRealTimers();
+	});
+
+	/**
+	 * Adds an element to the second section, which is placed between 1200px and 1400px on the page
+	 * @param {String} attributes HTML attributes of the element [optional]
+	 * @return {HTMLElement}
+	 */
+	function addElement(attributes) {
+		document.getElementById('b').insertAdjacentHTML('beforeend', `<div id="animated" ${attributes || ''}></div>`);
+		const element = document.getElementById('animated');
+		mockRect(element, 1200, 200, () => window.scrollY);
+		return element;
+	}
+
+	/**
+	 * Scrolls to a position, updates the instance and renders the next animation frame
+	 * @param {Number} y Scroll position in pixels
+	 */
+	function scroll(y) {
+		page.scroll(y);
+		reaction.update();
+		jest.advanceTimersByTime(16);
+	}
+
+	test('animates elements with keyframe attributes from entering to leaving the viewport', () => {
+		const element = addElement('data-scroll-from="opacity: 0; translateY: 40px" data-scroll-to="opacity: 1"');
+		reaction = new ScrollReaction();
+
+		// The element enters the viewport at 1200px - 800px = 400px and leaves it at 1400px
+		scroll(400);
+		expect(element.style.opacity).toBe('0');
+		expect(element.style.transform).toBe('translateY(40px)');
+
+		scroll(900);
+		expect(element.style.opacity).toBe('0.5');
+
+		scroll(2000);
+		expect(element.style.opacity).toBe('1');
+	});
+
+	test('supports start, end and easing attributes', () => {
+		const element = addElement(
+			'data-scroll-from="--value: 0" data-scroll-to="--value: 100" data-scroll-start="100" data-scroll-end="300" data-scroll-easing="easeInQuad"'
+		);
+		reaction = new ScrollReaction();
+
+		scroll(200);
+		expect(element.style.getPropertyValue('--value')).toBe('25');
+	});
+
+	test('ignores keyframe attributes, if attributeKeyframes is false', () => {
+		const element = addElement('data-scroll-from="opacity: 0" data-scroll-to="opacity: 1"');
+		reaction = new ScrollReaction({ attributeKeyframes: false });
+
+		scroll(900);
+		expect(element.style.opacity).toBe('');
+	});
+
+	test('leaves elements outside of the scrolling container to other instances', () => {
+		const element = addElement('data-scroll-from="opacity: 0" data-scroll-to="opacity: 1"');
+		const other = new ScrollReaction({ container: '#c' });
+		jest.advanceTimersByTime(16);
+		expect(element.style.opacity).toBe('');
+
+		reaction = new ScrollReaction({ container: '#b' });
+		jest.advanceTimersByTime(16);
+		expect(element.style.opacity).not.toBe('');
+
+		// The other instance doesn't remove the styles
+		other.destroy();
+		expect(element.style.opacity).not.toBe('');
+	});
+
+	test('animates elements via the animate method', () => {
+		const element = addElement();
+		reaction = new ScrollReaction();
+
+		reaction.animate('#animated', {
+			from: { scale: 1 },
+			to: { scale: 2 },
+			start: 0,
+			end: function(target) {
+				return target === element ? 1000 : 0;
+			}
+		});
+		jest.advanceTimersByTime(16);
+		expect(element.style.transform).toBe('scale(1)');
+
+		scroll(250);
+		expect(element.style.transform).toBe('scale(1.25)');
+	});
+
+	test('writes styles once per animation frame', () => {
+		const element = addElement();
+		reaction = new ScrollReaction();
+		reaction.animate(element, { from: 'opacity: 0', to: 'opacity: 1', start: 0, end: 1000 });
+		jest.advanceTimersByTime(16);
+
+		const setProperty = jest.spyOn(element.style, 'setProperty');
+		page.scroll(100);
+		reaction.update();
+		page.scroll(200);
+		reaction.update();
+		expect(setProperty).not.toHaveBeenCalled();
+
+		jest.advanceTimersByTime(16);
+		expect(setProperty).toHaveBeenCalledTimes(1);
+		expect(element.style.opacity).toBe('0.2');
+	});
+
+	test('removes the styles, if the animation is stopped', () => {
+		const element = addElement();
+		reaction = new ScrollReaction();
+		const stop = reaction.animate(element, { from: 'opacity: 0', to: 'opacity: 1', start: 0, end: 1000 });
+
+		scroll(500);
+		expect(element.style.opacity).toBe('0.5');
+
+		stop();
+		scroll(600);
+		expect(element.style.opacity).toBe('');
+	});
+
+	test('removes all styles on destroy', () => {
+		const element = addElement('data-scroll-from="translateX: 0" data-scroll-to="translateX: 100"');
+		reaction = new ScrollReaction();
+
+		scroll(900);
+		expect(element.style.transform).toBe('translateX(50px)');
+
+		reaction.destroy();
+		expect(element.style.transform).toBe('');
+	});
+
+	test('keeps animations of the animate method on refresh', () => {
+		const element = addElement();
+		reaction = new ScrollReaction();
+		reaction.animate(element, { from: 'opacity: 0', to: 'opacity: 1', start: 0, end: 1000 });
+
+		reaction.refresh();
+		scroll(300);
+		expect(element.style.opacity).toBe('0.3');
+	});
+});
@@ -0,0 +1,89 @@
+import defer from '../src/defer.js';
+
+describe('defer', () => {
+	beforeEach(() => {
+		jest.useFakeTimers();
+	});
+
+	afterEach(() => {
+		jest.useRealTimers();
+	});
+
+	test('calls the callback with the given context', () => {
+		const context = {};
+		const callback = jest.fn(function() {
+			return this;
+		});
+
+		defer(callback, context, 100)();
+		expect(callback.mock.results[0].value).toBe(context);
+	});
+
+	describe('throttle mode', () => {
+		test('calls the callback immediately on the first call', () => {
+			const callback = jest.fn();
+			const throttled = defer(callback, null, 100);
+
+			throttled();
+			expect(callback).toHaveBeenCalledTimes(1);
+		});
+
+		test('calls the callback at most once per interval', () => {
+			const callback = jest.fn();
+			const throttled = defer(callback, null, 100);
+
+			throttled();
+			jest.advanceTimersByTime(20);
+			throttled();
+			jest.advanceTimersByTime(20);
+			throttled();
+			expect(callback).toHaveBeenCalledTimes(1);
+
+			// The last call is deferred until the interval has passed
+			jest.advanceTimersByTime(99);
+			expect(callback).toHaveBeenCalledTimes(1);
+			jest.advanceTimersByTime(1);
+			expect(callback).toHaveBeenCalledTimes(2);
+		});
+
+		test('calls the callback immediately again after the interval', () => {
+			const callback = jest.fn();
+			const throttled = defer(callback, null, 100);
+
+			throttled();
+			jest.advanceTimersByTime(100);
+			throttled();
+			expect(callback).toHaveBeenCalledTimes(2);
+		});
+	});
+
+	describe('debounce mode', () => {
+		test('defers the callback until the interval has passed', () => {
+			const callback = jest.fn();
+			const debounced = defer(callback, null, 100, true);
+
+			debounced();
+			expect(callback).not.toHaveBeenCalled();
+
+			jest.advanceTimersByTime(100);
+			expect(callback).toHaveBeenCalledTimes(1);
+		});
+
+		test('restarts the interval on each call', () => {
+			const callback = jest.fn();
+			const debounced = defer(callback, null, 100, true);
+
+			debounced();
+			jest.advanceTimersByTime(80);
+			debounced();
+			jest.advanceTimersByTime(80);
+			debounced();
+			jest.advanceTimersByTime(99);
+			expect(callback).not.toHaveBeenCalled();
+
+			// Only the last call is executed
+			jest.advanceTimersByTime(1);
+			expect(callback).toHaveBeenCalledTimes(1);
+		});
+	});
+});
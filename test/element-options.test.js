@@ -0,0 +1,131 @@
+import ScrollReaction from '../src/scroll-reaction.js';
+import { createPage } from './helpers/page.js';
+
+describe('element options', () => {
+	let page, reaction;
+
+	beforeEach(() => {
+		page = createPage({
+			sections: [
+				{ id: 'a', height: 1000 },
+				{ id: 'b', height: 1000 },
+				{ id: 'c', height: 1000 }
+			]
+		});
+	});
+
+	afterEach(() => {
+		reaction.destroy();
+	});
+
+	/**
+	 * Scrolls to a position and updates the instance immediately
+	 * @param {Number} y Scroll position in pixels
+	 */
+	function scroll(y) {
+		page.scroll(y);
+		reaction.update();
+	}
+
+	test('uses the top offset of an emitter element', () => {
+		document.getElementById('b').setAttribute('data-scroll-offset', '200');
+		reaction = new ScrollReaction();
+
+		scroll(799);
+		expect(page.activeIds()).toEqual(['a']);
+		scroll(800);
+		expect(page.activeIds()).toEqual(['b']);
+
+		// Other emitter elements still use the configured offset
+		scroll(1994);
+		expect(page.activeIds()).toEqual(['b']);
+		scroll(1995);
+		expect(page.activeIds()).toEqual(['c']);
+	});
+
+	test('calculates the progress with the offsets of an emitter element', () => {
+		const emitter = document.getElementById('b');
+		emitter.setAttribute('data-scroll-offset', '200');
+		emitter.setAttribute('data-scroll-offset-bottom', '100');
+		const progress = {};
+		reaction = new ScrollReaction();
+		reaction.on('progress', details => {
+			progress[details.id] = details.progress;
+		});
+
+		// 1000px + 200px offset - 1000px top = 200px of 1000px - (800px - 200px - 100px) = 500px
+		scroll(1000);
+		expect(progress.b).toBe(0.4);
+		expect(reaction.getProgress('b')).toBe(0.4);
+	});
+
+	test('keeps an emitter element active, while it is visible', () => {
+		document.getElementById('c').setAttribute('data-scroll-visible', '');
+		reaction = new ScrollReaction();
+
+		scroll(1000);
+		expect(page.activeIds()).toEqual(['b']);
+		// The top of section c is visible above the bottom offset
+		scroll(1300);
+		expect(page.activeIds()).toEqual(['b', 'c']);
+	});
+
+	test('keeps an emitter element active, once it has been reached', () => {
+		document.getElementById('b').setAttribute('data-scroll-once', '');
+		reaction = new ScrollReaction();
+
+		scroll(1200);
+		scroll(2200);
+		expect(page.activeIds()).toEqual(['b', 'c']);
+
+		scroll(0);
+		expect(page.activeIds()).toEqual(['a', 'b']);
+	});
+
+	test('keeps a listener element active, once its emitter element has been active', () => {
+		page.link('a').setAttribute('data-scroll-once', '');
+		reaction = new ScrollReaction();
+
+		expect(page.activeIds()).toEqual(['a']);
+		scroll(1200);
+		expect(page.activeIds()).toEqual(['a', 'b']);
+	});
+
+	test('adds another attribute to a listener element', () => {
+		const link = page.link('b');
+		link.setAttribute('data-scroll-current', 'data-visited');
+		page.link('c').setAttribute('data-scroll-current', '');
+		reaction = new ScrollReaction();
+
+		scroll(1200);
+		expect(link.hasAttribute('data-visited')).toBe(true);
+		expect(page.activeIds()).toEqual([]);
+
+		scroll(2200);
+		expect(link.hasAttribute('data-visited')).toBe(false);
+		expect(page.activeIds()).toEqual([]);
+
+		reaction.destroy();
+		scroll(1200);
+		expect(link.hasAttribute('data-visited')).toBe(false);
+	});
+
+	test('reads the options again on refresh', () => {
+		reaction = new ScrollReaction();
+
+		scroll(800);
+		expect(page.activeIds()).toEqual(['a']);
+
+		document.getElementById('b').setAttribute('data-scroll-offset', '200');
+		reaction.refresh();
+		expect(page.activeIds()).toEqual(['b']);
+	});
+
+	test('ignores the attributes, if attributeOptions is false', () => {
+		document.getElementById('b').setAttribute('data-scroll-offset', '200');
+		reaction = new ScrollReaction({ attributeOptions: false });
+
+		scroll(800);
+		expect(page.activeIds()).toEqual(['a']);
+	});
+});
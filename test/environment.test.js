@@ -0,0 +1,88 @@
+/**
+ * @jest-environment node
+ */
+import { JSDOM } from 'jsdom';
+import ScrollReaction from '../src/scroll-reaction.js';
+import { mockRect, defineValue, defineGetter } from './helpers/page.js';
+
+describe('environment', () => {
+	let reaction, position;
+
+	afterEach(() => {
+		reaction.destroy();
+		delete global.window;
+	});
+
+	/**
+	 * Creates a separate window with two stacked sections and a navigation
+	 * jsdom doesn't calculate any layout, so sizes, positions and scrolling are mocked
+	 * @return {Window}
+	 */
+	function createWindow() {
+		const dom = new JSDOM(
+			'<nav><a href="#a" data-scroll-reaction>a</a><a href="#b" data-scroll-reaction>b</a></nav>' +
+				'<section id="a"></section><section id="b"></section>'
+		);
+		const win = dom.window;
+
+		position = 0;
+		mockRect(win.document.getElementById('a'), 0, 1000, () => position);
+		mockRect(win.document.getElementById('b'), 1000, 1000, () => position);
+		defineValue(win, 'innerHeight', 800);
+		defineValue(win, 'innerWidth', 1000);
+		defineGetter(win, 'scrollY', () => position);
+		defineGetter(win, 'scrollX', () => 0);
+		defineValue(win.document.body, 'clientHeight', 2000);
+		defineValue(win.document.documentElement, 'scrollHeight', 2000);
+
+		return win;
+	}
+
+	/**
+	 * @param {Window} win
+	 * @return {Array} IDs of all sections, whose links are active
+	 */
+	function activeIds(win) {
+		const links = win.document.querySelectorAll('a[data-scroll-active]');
+		return Array.prototype.map.call(links, link => link.getAttribute('href').replace('#', ''));
+	}
+
+	test('can be constructed without a DOM and initialized later', () => {
+		expect(typeof window).toBe('undefined');
+		reaction = new ScrollReaction();
+		expect(reaction.getActive()).toBe(null);
+		expect(() => reaction.update()).not.toThrow();
+
+		// The component has been mounted in the browser
+		global.window = createWindow();
+		reaction.init();
+		expect(activeIds(window)).toEqual(['a']);
+
+		position = 1200;
+		reaction.update();
+		expect(activeIds(window)).toEqual(['b']);
+	});
+
+	test('uses the window of a separate DOM', () => {
+		const win = createWindow();
+		reaction = new ScrollReaction({ window: win });
+		expect(activeIds(win)).toEqual(['a']);
+
+		position = 1200;
+		reaction.update();
+		expect(activeIds(win)).toEqual(['b']);
+		expect(reaction.getActive()).toBe('b');
+
+		reaction.destroy();
+		expect(activeIds(win)).toEqual([]);
+	});
+
+	test('uses the document of a separate DOM', () => {
+		const win = createWindow();
+		reaction = new ScrollReaction({ document: win.document });
+
+		position = 1200;
+		reaction.update();
+		expect(activeIds(win)).toEqual(['b']);
+	});
+});
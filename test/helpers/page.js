@@ -0,0 +1,105 @@
+/**
+ * Test helper: creates a page with a navigation and stacked sections.
+ * jsdom doesn't calculate any layout, so sizes, positions and scrolling are mocked.
+ * Each section gets a link in the navigation, which points to its ID.
+ * @param {Object} options
+ * @param {Array} options.sections Sections with an ID and a height, e.g. [{ id: 'a', height: 1000 }]
+ * @param {Number} options.viewport Height of the viewport in pixels [default: 800]
+ * @param {Boolean} options.reducedMotion Does the user prefer reduced motion? [default: false]
+ * @return {Object} Helper methods to scroll and to find elements
+ */
+export function createPage(options) {
+	const viewport = options.viewport || 800;
+	let position = 0;
+	let top = 0;
+
+	document.body.innerHTML =
+		'<nav>' +
+		options.sections.map(section => `<a href="#${section.id}" data-scroll-reaction>${section.id}</a>`).join('') +
+		'</nav>' +
+		options.sections.map(section => `<section id="${section.id}"></section>`).join('');
+
+	// Stack the sections on top of each other
+	options.sections.forEach(section => {
+		mockRect(document.getElementById(section.id), top, section.height, () => position);
+		top += section.height;
+	});
+
+	defineValue(window, 'innerHeight', viewport);
+	defineValue(window, 'innerWidth', 1000);
+	defineGetter(window, 'scrollY', () => position);
+	defineGetter(window, 'scrollX', () => 0);
+	defineValue(document.body, 'clientHeight', top);
+	defineValue(document.documentElement, 'scrollHeight', top);
+
+	window.matchMedia = jest.fn(() => ({ matches: !!options.reducedMotion }));
+
+	// Scrolling happens immediately, smooth scrolling included
+	// Like in a browser, the position can't be outside of the page
+	window.scrollTo = jest.fn((x, y) => {
+		const target = typeof x === 'object' ? x.top : y;
+		position = Math.min(Math.max(target, 0), top - viewport);
+		window.dispatchEvent(new Event('scroll'));
+	});
+
+	return {
+		/**
+		 * Scrolls to a position, like a user would do
+		 * @param {Number} y Scroll position in pixels
+		 */
+		scroll(y) {
+			position = y;
+			window.dispatchEvent(new Event('scroll'));
+		},
+
+		/**
+		 * @param {String} id ID of the linked section
+		 * @return {HTMLElement} Link in the navigation
+		 */
+		link(id) {
+			return document.querySelector(`a[href="#${id}"]`);
+		},
+
+		/**
+		 * @return {Array} IDs of all sections, whose links are active
+		 */
+		activeIds() {
+			const links = document.querySelectorAll('a[data-scroll-active]');
+			return Array.prototype.map.call(links, link => link.getAttribute('href').replace('#', ''));
+		}
+	};
+}
+
+/**
+ * Test helper: mocks the bounding rect of an element, relative to the scroll position
+ * @param {HTMLElement} element
+ * @param {Number} top Position of the element on the page in pixels
+ * @param {Number} height Height of the element in pixels
+ * @param {Function} getPosition Returns the current scroll position
+ */
+export function mockRect(element, top, height, getPosition) {
+	element.getBoundingClientRect = () => {
+		const y = top - getPosition();
+		return { top: y, bottom: y + height, left: 0, right: 1000, width: 1000, height: height };
+	};
+}
+
+/**
+ * Test helper: overrides a read-only property of a DOM object
+ * @param {Object} object
+ * @param {String} name Name of the property
+ * @param {*} value
+ */
+export function defineValue(object, name, value) {
+	Object.defineProperty(object, name, { value: value, configurable: true, writable: true });
+}
+
+/**
+ * Test helper: overrides a read-only property of a DOM object with a getter
+ * @param {Object} object
+ * @param {String} name Name of the property
+ * @param {Function} get
+ */
+export function defineGetter(object, name, get) {
+	Object.defineProperty(object, name, { get: get, configurable: true });
+}
@@ -0,0 +1,124 @@
+import ScrollReaction from '../src/scroll-reaction.js';
+import { createPage } from './helpers/page.js';
+
+describe('history', () => {
+	let page, reaction;
+
+	beforeEach(() => {
+		jest.useFakeTimers();
+		window.history.replaceState(null, null, '/');
+		page = createPage({
+			sections: [
+				{ id: 'a', height: 1000 },
+				{ id: 'b', height: 1000 },
+				{ id: 'c', height: 1000 }
+			]
+		});
+	});
+
+	afterEach(() => {
+		reaction.destroy();
+		jest.useRealTimers();
+	});
+
+	/**
+	 * Changes the URL hash like a navigation of the user, e.g. the back button
+	 * @param {String} hash
+	 * @param {String} type Type of the event, 'popstate' or 'hashchange'
+	 */
+	function navigate(hash, type) {
+		window.history.replaceState(null, null, hash || '/');
+		window.dispatchEvent(new Event(type));
+	}
+
+	test('does not change the URL on page load', () => {
+		const length = window.history.length;
+		reaction = new ScrollReaction({ history: 'push' });
+		jest.advanceTimersByTime(1000);
+		reaction.destroy();
+
+		reaction = new ScrollReaction({ history: 'replace' });
+		jest.advanceTimersByTime(1000);
+		expect(window.location.hash).toBe('');
+		expect(window.history.length).toBe(length);
+	});
+
+	test('replaces the URL hash, after the user has scrolled', () => {
+		const length = window.history.length;
+		reaction = new ScrollReaction({ history: 'replace' });
+
+		page.scroll(1200);
+		jest.advanceTimersByTime(100);
+		page.scroll(2200);
+		jest.advanceTimersByTime(200);
+		expect(window.location.hash).toBe('');
+
+		// Passed emitter elements aren't written to the URL
+		jest.advanceTimersByTime(300);
+		expect(window.location.hash).toBe('#c');
+		expect(window.history.length).toBe(length);
+
+		page.scroll(0);
+		jest.advanceTimersByTime(400);
+		expect(window.location.hash).toBe('#a');
+	});
+
+	test('adds a history entry, after the user has scrolled, if the history option is set to push', () => {
+		const length = window.history.length;
+		reaction = new ScrollReaction({ history: 'push' });
+
+		page.scroll(1200);
+		jest.advanceTimersByTime(400);
+		expect(window.location.hash).toBe('#b');
+		expect(window.history.length).toBe(length + 1);
+	});
+
+	test('scrolls to the element of the URL hash after back and forward navigation', () => {
+		reaction = new ScrollReaction({ smoothScroll: false, history: 'replace' });
+
+		navigate('#c', 'popstate');
+		expect(window.scrollTo).toHaveBeenLastCalledWith(0, 1996);
+
+		// hashchange may follow popstate for the same navigation
+		navigate('#c', 'hashchange');
+		expect(window.scrollTo).toHaveBeenCalledTimes(1);
+
+		navigate('#b', 'hashchange');
+		expect(window.scrollTo).toHaveBeenLastCalledWith(0, 996);
+
+		navigate('', 'popstate');
+		expect(window.scrollTo).toHaveBeenLastCalledWith(0, 0);
+	});
+
+	test('scrolls to the element of the URL hash on page load', () => {
+		window.history.replaceState(null, null, '#b');
+		reaction = new ScrollReaction({ smoothScroll: false, history: 'replace' });
+
+		expect(window.scrollTo).toHaveBeenLastCalledWith(0, 996);
+	});
+
+	test('adds a single history entry for IDs with special characters', async () => {
+		page = createPage({
+			sections: [
+				{ id: 'a', height: 1000 },
+				{ id: 'über', height: 1000 },
+				{ id: 'c', height: 1000 }
+			]
+		});
+		const length = window.history.length;
+		reaction = new ScrollReaction({ smoothScroll: false, history: 'push' });
+
+		await reaction.scrollTo('über');
+		jest.advanceTimersByTime(400);
+		expect(window.location.hash).toBe('#%C3%BCber');
+		expect(window.history.length).toBe(length + 1);
+	});
+
+	test('uses malformed hashes as they are', () => {
+		document.getElementById('c').id = '%E0%A4%A';
+		reaction = new ScrollReaction({ smoothScroll: false, history: 'replace' });
+
+		navigate('#%E0%A4%A', 'hashchange');
+		expect(window.scrollTo).toHaveBeenLastCalledWith(0, 1996);
+	});
+});
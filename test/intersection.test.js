@@ -0,0 +1,111 @@
+import ScrollReaction from '../src/scroll-reaction.js';
+import { createPage } from './helpers/page.js';
+
+describe('intersection detection', () => {
+	let page, reaction, observers;
+
+	beforeEach(() => {
+		observers = [];
+		page = createPage({
+			sections: [
+				{ id: 'a', height: 1000 },
+				{ id: 'b', height: 1000 },
+				{ id: 'c', height: 1000 }
+			]
+		});
+
+		// Mocks intersection observers, the test reports their entries
+		window.IntersectionObserver = class {
+			constructor(callback, options) {
+				this.callback = callback;
+				this.options = options;
+				this.targets = [];
+				observers.push(this);
+			}
+			observe(target) {
+				this.targets.push(target);
+			}
+			unobserve(target) {
+				this.targets.splice(this.targets.indexOf(target), 1);
+			}
+			disconnect() {
+				this.targets = [];
+			}
+		};
+	});
+
+	afterEach(() => {
+		reaction.destroy();
+		delete window.IntersectionObserver;
+	});
+
+	/**
+	 * Reports the intersections of emitter elements, like a browser would do after scrolling
+	 * @param {Object} observer
+	 * @param {Object} intersections Is the emitter element intersecting? By ID, e.g. { a: true }
+	 */
+	function report(observer, intersections) {
+		const entries = Object.keys(intersections).map(id => {
+			const target = document.getElementById(id);
+			return {
+				target: target,
+				isIntersecting: intersections[id],
+				boundingClientRect: target.getBoundingClientRect()
+			};
+		});
+		observer.callback(entries, observer);
+	}
+
+	test('observes the emitter elements above the top offset', () => {
+		reaction = new ScrollReaction({ detection: 'intersection' });
+
+		// 3000px page + 800px viewport, the line is 5px below the top of the viewport
+		expect(observers.length).toBe(1);
+		expect(observers[0].options).toEqual({ root: null, rootMargin: '3800px 0px -795px 0px' });
+		expect(observers[0].targets.map(target => target.id).sort()).toEqual(['a', 'b', 'c']);
+
+		page.scroll(1200);
+		report(observers[0], { a: true, b: true, c: false });
+		expect(page.activeIds()).toEqual(['b']);
+
+		page.scroll(500);
+		report(observers[0], { b: false });
+		expect(page.activeIds()).toEqual(['a']);
+	});
+
+	test('observes reached and surpassed emitter elements, if multiple is true', () => {
+		reaction = new ScrollReaction({ detection: 'intersection', multiple: true });
+		const [reach, surpass] = observers;
+
+		// Emitter elements are reached above the bottom offset and surpassed above the top offset
+		expect(observers.length).toBe(2);
+		expect(reach.options.rootMargin).toBe('3800px 0px -5px 0px');
+		expect(surpass.options.rootMargin).toBe('-5px 0px 3800px 0px');
+
+		page.scroll(1500);
+		report(reach, { a: true, b: true, c: true });
+		report(surpass, { a: false, b: true, c: true });
+		expect(page.activeIds()).toEqual(['b', 'c']);
+
+		page.scroll(2200);
+		report(surpass, { b: false });
+		expect(page.activeIds()).toEqual(['c']);
+	});
+
+	test('creates new observers, if emitter elements have been refreshed', () => {
+		reaction = new ScrollReaction({ detection: 'intersection' });
+
+		reaction.refresh();
+		expect(observers[0].targets).toEqual([]);
+		expect(observers[observers.length - 1].targets.map(target => target.id).sort()).toEqual(['a', 'b', 'c']);
+	});
+
+	test('falls back to scroll detection, if intersection observers are not supported', () => {
+		delete window.IntersectionObserver;
+		reaction = new ScrollReaction({ detection: 'intersection' });
+
+		page.scroll(1200);
+		reaction.update();
+		expect(page.activeIds()).toEqual(['b']);
+	});
+});
@@ -0,0 +1,155 @@
+import ScrollReaction from '../src/scroll-reaction.js';
+import { createPage } from './helpers/page.js';
+
+describe('keyboard navigation', () => {
+	let page, reaction;
+
+	/**
+	 * Creates the page for each test, the user may prefer reduced motion
+	 * @param {Boolean} reducedMotion
+	 */
+	function setup(reducedMotion) {
+		page = createPage({
+			sections: [
+				{ id: 'a', height: 1000 },
+				{ id: 'b', height: 1000 },
+				{ id: 'c', height: 1000 }
+			],
+			reducedMotion: reducedMotion
+		});
+	}
+
+	/**
+	 * Presses a key on an element
+	 * @param {String} key Value of KeyboardEvent.key
+	 * @param {Object} options Additional event options, e.g. modifier keys [optional]
+	 * @param {HTMLElement} target [default: body]
+	 * @return {KeyboardEvent}
+	 */
+	function press(key, options, target) {
+		const event = new KeyboardEvent('keydown', Object.assign({ key: key, bubbles: true, cancelable: true }, options));
+		(target || document.body).dispatchEvent(event);
+		return event;
+	}
+
+	beforeEach(() => {
+		setup(false);
+	});
+
+	afterEach(() => {
+		reaction.destroy();
+	});
+
+	test('returns the active emitter element', () => {
+		reaction = new ScrollReaction();
+		expect(reaction.getActive()).toBe('a');
+
+		page.scroll(1200);
+		reaction.update();
+		expect(reaction.getActive()).toBe('b');
+	});
+
+	test('returns the lowest active emitter element, if multiple are active', () => {
+		reaction = new ScrollReaction({ multiple: true });
+
+		// Section c has entered the viewport from the bottom
+		page.scroll(1300);
+		reaction.update();
+		expect(page.activeIds()).toEqual(['b', 'c']);
+		expect(reaction.getActive()).toBe('c');
+	});
+
+	test('scrolls to the next and the previous emitter element', async () => {
+		reaction = new ScrollReaction({ smoothScroll: false });
+
+		await expect(reaction.next()).resolves.toBe(true);
+		expect(window.scrollTo).toHaveBeenLastCalledWith(0, 996);
+		reaction.update();
+		expect(reaction.getActive()).toBe('b');
+
+		await expect(reaction.previous()).resolves.toBe(true);
+		reaction.update();
+		expect(reaction.getActive()).toBe('a');
+	});
+
+	test('resolves with false, if there is no next or previous emitter element', async () => {
+		reaction = new ScrollReaction({ smoothScroll: false });
+
+		await expect(reaction.previous()).resolves.toBe(false);
+		expect(window.scrollTo).not.toHaveBeenCalled();
+
+		page.scroll(2200);
+		reaction.update();
+		await expect(reaction.next()).resolves.toBe(false);
+		expect(window.scrollTo).not.toHaveBeenCalled();
+	});
+
+	test('continues from the target of the previous call', () => {
+		reaction = new ScrollReaction({ smoothScroll: false });
+
+		reaction.next();
+		reaction.next();
+		expect(window.scrollTo).toHaveBeenLastCalledWith(0, 1996);
+	});
+
+	test('scrolls with the default keys', () => {
+		reaction = new ScrollReaction({ smoothScroll: false, keyboard: true });
+
+		const event = press('j');
+		expect(event.defaultPrevented).toBe(true);
+		expect(window.scrollTo).toHaveBeenLastCalledWith(0, 996);
+
+		press('k');
+		expect(window.scrollTo).toHaveBeenLastCalledWith(0, -4);
+	});
+
+	test('scrolls with custom keys', () => {
+		reaction = new ScrollReaction({ smoothScroll: false, keyboard: { next: ['PageDown'], previous: ['PageUp'] } });
+
+		expect(press('j').defaultPrevented).toBe(false);
+		expect(window.scrollTo).not.toHaveBeenCalled();
+
+		press('PageDown');
+		expect(window.scrollTo).toHaveBeenLastCalledWith(0, 996);
+	});
+
+	test('ignores keys inside form fields', () => {
+		document.body.insertAdjacentHTML('beforeend', '<input id="search">');
+		reaction = new ScrollReaction({ smoothScroll: false, keyboard: true });
+
+		expect(press('j', {}, document.getElementById('search')).defaultPrevented).toBe(false);
+		expect(window.scrollTo).not.toHaveBeenCalled();
+	});
+
+	test('ignores keys in combination with modifier keys', () => {
+		reaction = new ScrollReaction({ smoothScroll: false, keyboard: true });
+
+		press('j', { ctrlKey: true });
+		press('j', { metaKey: true });
+		press('j', { altKey: true });
+		expect(window.scrollTo).not.toHaveBeenCalled();
+	});
+
+	test('ignores keys, if the keyboard option is false', () => {
+		reaction = new ScrollReaction({ smoothScroll: false });
+
+		press('j');
+		expect(window.scrollTo).not.toHaveBeenCalled();
+	});
+
+	test('jumps to the emitter element, if the user prefers reduced motion', () => {
+		setup(true);
+		reaction = new ScrollReaction({ smoothScroll: true, keyboard: true });
+
+		press('j');
+		expect(window.scrollTo).toHaveBeenLastCalledWith(0, 996);
+	});
+
+	test('removes the key listener on destroy', () => {
+		reaction = new ScrollReaction({ smoothScroll: false, keyboard: true });
+		reaction.destroy();
+
+		press('j');
+		expect(window.scrollTo).not.toHaveBeenCalled();
+	});
+});
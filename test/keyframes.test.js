@@ -0,0 +1,39 @@
+import keyframes from '../src/keyframes.js';
+
+describe('keyframes', () => {
+	test('parses numbers and units of a string', () => {
+		expect(keyframes.parse('opacity: 0; translateY: 40px;')).toEqual({
+			opacity: { number: 0, unit: '' },
+			translateY: { number: 40, unit: 'px' }
+		});
+	});
+
+	test('parses an object', () => {
+		expect(keyframes.parse({ scale: 1.5, '--offset': '-2.5rem' })).toEqual({
+			scale: { number: 1.5, unit: '' },
+			'--offset': { number: -2.5, unit: 'rem' }
+		});
+	});
+
+	test('ignores values, which are not numeric', () => {
+		expect(keyframes.parse('color: red; opacity: .5; broken')).toEqual({ opacity: { number: 0.5, unit: '' } });
+		expect(keyframes.parse(null)).toEqual({});
+	});
+
+	test('interpolates values and combines transform functions', () => {
+		const from = keyframes.parse('opacity: 0; translateY: 40px; rotate: 90');
+		const to = keyframes.parse('opacity: 1; translateY: 0; rotate: 0');
+
+		expect(keyframes.interpolate(from, to, 0.25)).toEqual({
+			opacity: '0.25',
+			transform: 'translateY(30px) rotate(67.5deg)'
+		});
+	});
+
+	test('keeps values, which only exist in one keyframe', () => {
+		const from = keyframes.parse('opacity: 0');
+		const to = keyframes.parse('letterSpacing: 2px');
+
+		expect(keyframes.interpolate(from, to, 0.5)).toEqual({ opacity: '0', 'letter-spacing': '2px' });
+	});
+});
@@ -0,0 +1,176 @@
+import ScrollReaction from '../src/scroll-reaction.js';
+import { createPage, mockRect } from './helpers/page.js';
+
+describe('layout cache', () => {
+	let page, reaction, resizeCallback;
+
+	beforeEach(() => {
+		jest.useFakeTimers();
+		page = createPage({
+			sections: [
+				{ id: 'a', height: 1000 },
+				{ id: 'b', height: 1000 },
+				{ id: 'c', height: 1000 }
+			]
+		});
+	});
+
+	afterEach(() => {
+		reaction.destroy();
+		delete window.ResizeObserver;
+		jest.useRealTimers();
+	});
+
+	/**
+	 * Scrolls to a position and renders the next animation frame
+	 * @param {Number} y Scroll position in pixels
+	 */
+	function scroll(y) {
+		page.scroll(y);
+		jest.advanceTimersByTime(16);
+	}
+
+	/**
+	 * Moves section b to another position on the page
+	 * @param {Number} top Position in pixels
+	 */
+	function moveSection(top) {
+		mockRect(document.getElementById('b'), top, 1000, () => window.scrollY);
+	}
+
+	/**
+	 * Mocks resize observers, their callback can be called by the test
+	 */
+	function mockResizeObserver() {
+		window.ResizeObserver = class {
+			constructor(callback) {
+				resizeCallback = callback;
+			}
+			observe() {}
+			unobserve() {}
+			disconnect() {}
+		};
+	}
+
+	test('does not measure emitter elements while scrolling', () => {
+		reaction = new ScrollReaction();
+		const measure = jest.spyOn(document.getElementById('b'), 'getBoundingClientRect');
+
+		scroll(1200);
+		expect(page.activeIds()).toEqual(['b']);
+		expect(measure).not.toHaveBeenCalled();
+	});
+
+	test('measures emitter elements again after the window has been resized', () => {
+		reaction = new ScrollReaction();
+
+		moveSection(1500);
+		scroll(1200);
+		expect(page.activeIds()).toEqual(['b']);
+
+		window.dispatchEvent(new Event('resize'));
+		jest.advanceTimersByTime(200);
+		expect(page.activeIds()).toEqual(['a']);
+	});
+
+	test('measures emitter elements again, if a resize observer reports a change', () => {
+		mockResizeObserver();
+		reaction = new ScrollReaction();
+
+		moveSection(1500);
+		scroll(1200);
+		expect(page.activeIds()).toEqual(['b']);
+
+		resizeCallback([]);
+		jest.advanceTimersByTime(16);
+		expect(page.activeIds()).toEqual(['a']);
+	});
+
+	test('measures emitter elements again after an image has been loaded', () => {
+		reaction = new ScrollReaction();
+		document.getElementById('a').innerHTML = '<img src="image.jpg">';
+
+		moveSection(1500);
+		scroll(1200);
+		document.querySelector('img').dispatchEvent(new Event('load'));
+		jest.advanceTimersByTime(16);
+		expect(page.activeIds()).toEqual(['a']);
+	});
+
+	test('measures emitter elements again, if listener elements have been added', async () => {
+		reaction = new ScrollReaction({ observe: true });
+
+		moveSection(1500);
+		scroll(1200);
+		document.querySelector('nav').insertAdjacentHTML('beforeend', '<a href="#c" data-scroll-reaction>c</a>');
+		await Promise.resolve();
+		jest.advanceTimersByTime(16);
+		expect(page.activeIds()).toEqual(['a']);
+	});
+
+	test('updates before the next frame, after an emitter element has been removed', async () => {
+		reaction = new ScrollReaction({ observe: true });
+
+		scroll(2200);
+		expect(page.activeIds()).toEqual(['c']);
+		document.getElementById('c').remove();
+		page.link('c').remove();
+		await Promise.resolve();
+
+		expect(() => reaction.update()).not.toThrow();
+		expect(page.activeIds()).toEqual(['b']);
+	});
+
+	test('does not measure emitter elements after other DOM changes', async () => {
+		reaction = new ScrollReaction({ observe: true, announce: true });
+		const measure = jest.spyOn(document.getElementById('b'), 'getBoundingClientRect');
+
+		// Announcements change the text of the live region
+		scroll(1200);
+		jest.advanceTimersByTime(1000);
+		document.getElementById('a').innerHTML = '<p>Text</p>';
+		await Promise.resolve();
+		jest.advanceTimersByTime(16);
+		expect(measure).not.toHaveBeenCalled();
+	});
+
+	test('measures emitter elements again on refresh', () => {
+		reaction = new ScrollReaction();
+
+		moveSection(1500);
+		scroll(1200);
+		reaction.refresh();
+		expect(page.activeIds()).toEqual(['a']);
+	});
+
+	test('finds the active emitter element on a long page', () => {
+		const sections = [];
+		for (let s = 0; s < 500; s++) sections.push({ id: 'section-' + s, height: 100 });
+		page = createPage({ sections: sections });
+		reaction = new ScrollReaction();
+
+		scroll(25000);
+		expect(page.activeIds()).toEqual(['section-250']);
+
+		scroll(12345);
+		expect(page.activeIds()).toEqual(['section-123']);
+
+		scroll(0);
+		expect(page.activeIds()).toEqual(['section-0']);
+
+		// The last emitter element is active at the bottom of the page
+		scroll(49200);
+		expect(page.activeIds()).toEqual(['section-499']);
+	});
+
+	test('keeps all reached emitter elements active, if rewind is false', () => {
+		reaction = new ScrollReaction({ rewind: false });
+
+		scroll(1200);
+		scroll(2000);
+		expect(page.activeIds()).toEqual(['a', 'b', 'c']);
+
+		scroll(0);
+		expect(page.activeIds()).toEqual(['a', 'b', 'c']);
+	});
+});
@@ -0,0 +1,115 @@
+import ScrollReaction from '../src/scroll-reaction.js';
+import { createPage, mockRect } from './helpers/page.js';
+
+describe('nested emitter elements', () => {
+	let page, reaction;
+
+	beforeEach(() => {
+		page = createPage({
+			sections: [
+				{ id: 'chapter-1', height: 2000 },
+				{ id: 'chapter-2', height: 1000 }
+			]
+		});
+
+		// Two subsections inside the first chapter, below its heading
+		addSection('chapter-1', 'section-1-1', 100, 900);
+		addSection('chapter-1', 'section-1-2', 1000, 1000);
+	});
+
+	afterEach(() => {
+		reaction.destroy();
+	});
+
+	/**
+	 * Scrolls to a position and updates the instance immediately
+	 * @param {Number} y Scroll position in pixels
+	 */
+	function scroll(y) {
+		page.scroll(y);
+		reaction.update();
+	}
+
+	/**
+	 * Adds a section inside another section and a link to the navigation
+	 * @param {String} parentId
+	 * @param {String} id
+	 * @param {Number} top Position of the section on the page in pixels
+	 * @param {Number} height Height of the section in pixels
+	 */
+	function addSection(parentId, id, top, height) {
+		document.getElementById(parentId).insertAdjacentHTML('beforeend', `<section id="${id}"></section>`);
+		document.querySelector('nav').insertAdjacentHTML('beforeend', `<a href="#${id}" data-scroll-reaction>${id}</a>`);
+		mockRect(document.getElementById(id), top, height, () => window.scrollY);
+	}
+
+	/**
+	 * @return {Array} IDs of all sections, whose links are marked as ancestors
+	 */
+	function ancestorIds() {
+		const links = document.querySelectorAll('a[data-scroll-ancestor]');
+		return Array.prototype.map.call(links, link => link.getAttribute('href').replace('#', ''));
+	}
+
+	test('marks the listener elements of ancestors', () => {
+		reaction = new ScrollReaction({ attributeAncestor: 'data-scroll-ancestor' });
+
+		expect(page.activeIds()).toEqual(['chapter-1']);
+		expect(ancestorIds()).toEqual([]);
+
+		scroll(1200);
+		expect(page.activeIds()).toEqual(['section-1-2']);
+		expect(ancestorIds()).toEqual(['chapter-1']);
+
+		scroll(2200);
+		expect(page.activeIds()).toEqual(['chapter-2']);
+		expect(ancestorIds()).toEqual([]);
+	});
+
+	test('does not mark ancestors by default', () => {
+		reaction = new ScrollReaction();
+
+		scroll(1200);
+		expect(ancestorIds()).toEqual([]);
+	});
+
+	test('returns the active path', () => {
+		reaction = new ScrollReaction();
+
+		expect(reaction.getActivePath()).toEqual(['chapter-1']);
+		scroll(500);
+		expect(reaction.getActivePath()).toEqual(['chapter-1', 'section-1-1']);
+		scroll(2200);
+		expect(reaction.getActivePath()).toEqual(['chapter-2']);
+	});
+
+	test('marks ancestors of every active emitter element, if multiple is true', () => {
+		reaction = new ScrollReaction({ attributeAncestor: 'data-scroll-ancestor', multiple: true });
+
+		scroll(1900);
+		expect(page.activeIds()).toEqual(['chapter-1', 'chapter-2', 'section-1-2']);
+		expect(ancestorIds()).toEqual(['chapter-1']);
+	});
+
+	test('finds the ancestors again on refresh', () => {
+		reaction = new ScrollReaction({ attributeAncestor: 'data-scroll-ancestor' });
+		scroll(1200);
+
+		// Move the subsections out of the chapter
+		const chapter = document.getElementById('chapter-1');
+		chapter.parentNode.appendChild(document.getElementById('section-1-1'));
+		chapter.parentNode.appendChild(document.getElementById('section-1-2'));
+		reaction.refresh();
+
+		expect(reaction.getActivePath()).toEqual(['section-1-2']);
+		expect(ancestorIds()).toEqual([]);
+	});
+
+	test('removes the attribute on destroy', () => {
+		reaction = new ScrollReaction({ attributeAncestor: 'data-scroll-ancestor' });
+		scroll(1200);
+
+		reaction.destroy();
+		expect(ancestorIds()).toEqual([]);
+	});
+});
@@ -0,0 +1,118 @@
+import ScrollReaction from '../src/scroll-reaction.js';
+import { createPage } from './helpers/page.js';
+
+describe('offsetElements', () => {
+	let page, reaction;
+
+	beforeEach(() => {
+		page = createPage({
+			sections: [
+				{ id: 'a', height: 1000 },
+				{ id: 'b', height: 1000 },
+				{ id: 'c', height: 1000 }
+			]
+		});
+	});
+
+	afterEach(() => {
+		reaction.destroy();
+	});
+
+	/**
+	 * Scrolls to a position and updates the instance immediately
+	 * @param {Number} y Scroll position in pixels
+	 */
+	function scroll(y) {
+		page.scroll(y);
+		reaction.update();
+	}
+
+	/**
+	 * Adds an element to the page
+	 * @param {String} id
+	 * @param {Function} getRect Returns the top and the height of the element inside the viewport
+	 * @return {HTMLElement}
+	 */
+	function addElement(id, getRect) {
+		document.body.insertAdjacentHTML('afterbegin', `<div id="${id}"></div>`);
+		const element = document.getElementById(id);
+		element.getBoundingClientRect = () => {
+			const rect = getRect(window.scrollY);
+			return { top: rect.top, bottom: rect.top + rect.height, left: 0, right: 1000, width: 1000, height: rect.height };
+		};
+		return element;
+	}
+
+	test('adds the height of a fixed header to the top offset', () => {
+		addElement('header', () => ({ top: 0, height: 100 }));
+		reaction = new ScrollReaction({ offsetElements: '#header' });
+
+		// 1000px - 100px header - 5px offsetTop
+		scroll(894);
+		expect(page.activeIds()).toEqual(['a']);
+		scroll(895);
+		expect(page.activeIds()).toEqual(['b']);
+	});
+
+	test('adds the heights of stacked elements', () => {
+		addElement('banner', () => ({ top: 0, height: 40 }));
+		const header = addElement('header', () => ({ top: 40, height: 60 }));
+		reaction = new ScrollReaction({ offsetElements: ['#banner', header] });
+
+		scroll(894);
+		expect(page.activeIds()).toEqual(['a']);
+		scroll(895);
+		expect(page.activeIds()).toEqual(['b']);
+	});
+
+	test('ignores elements, which do not cover the top', () => {
+		// A sticky element, which isn't stuck yet, and a fixed footer
+		addElement('sticky', y => ({ top: Math.max(1500 - y, 0), height: 100 }));
+		addElement('footer', () => ({ top: 700, height: 100 }));
+		reaction = new ScrollReaction({ offsetElements: ['#sticky', '#footer'] });
+
+		scroll(994);
+		expect(page.activeIds()).toEqual(['a']);
+		scroll(995);
+		expect(page.activeIds()).toEqual(['b']);
+
+		// The sticky element is stuck now
+		scroll(1894);
+		expect(page.activeIds()).toEqual(['b']);
+		scroll(1895);
+		expect(page.activeIds()).toEqual(['c']);
+	});
+
+	test('uses the current height of a collapsing header', () => {
+		addElement('header', y => ({ top: 0, height: y > 100 ? 50 : 200 }));
+		reaction = new ScrollReaction({ offsetElements: '#header' });
+
+		scroll(944);
+		expect(page.activeIds()).toEqual(['a']);
+		scroll(945);
+		expect(page.activeIds()).toEqual(['b']);
+	});
+
+	test('corrects the scroll target, if the header collapses while scrolling', () => {
+		addElement('header', y => ({ top: 0, height: y > 100 ? 50 : 200 }));
+		reaction = new ScrollReaction({ offsetElements: '#header', smoothScroll: false });
+
+		return reaction.scrollTo('b').then(completed => {
+			expect(completed).toBe(true);
+			// 1000px - 200px header - 5px + 1px, corrected to 1000px - 50px header - 5px + 1px
+			expect(window.scrollTo).toHaveBeenNthCalledWith(1, 0, 796);
+			expect(window.scrollTo).toHaveBeenLastCalledWith(0, 946);
+		});
+	});
+
+	test('finds elements again on refresh', () => {
+		reaction = new ScrollReaction({ offsetElements: '#header' });
+		addElement('header', () => ({ top: 0, height: 100 }));
+
+		scroll(900);
+		expect(page.activeIds()).toEqual(['a']);
+
+		reaction.refresh();
+		expect(page.activeIds()).toEqual(['b']);
+	});
+});
@@ -0,0 +1,235 @@
+import ScrollReaction from '../src/scroll-reaction.js';
+import { createPage } from './helpers/page.js';
+
+describe('paging', () => {
+	let page, reaction;
+
+	/**
+	 * Creates the page for each test
+	 * @param {Object} options Options of the page, e.g. reducedMotion [optional]
+	 */
+	function setup(options) {
+		page = createPage(
+			Object.assign(
+				{
+					sections: [
+						{ id: 'a', height: 800 },
+						{ id: 'b', height: 800 },
+						{ id: 'c', height: 800 }
+					]
+				},
+				options
+			)
+		);
+	}
+
+	beforeEach(() => {
+		jest.useFakeTimers();
+		setup();
+	});
+
+	afterEach(() => {
+		reaction.destroy();
+		document.documentElement.style.removeProperty('scroll-snap-type');
+		jest.useRealTimers();
+	});
+
+	/**
+	 * Waits until smooth scrolling has finished and its promise has been resolved
+	 */
+	async function settle() {
+		jest.advanceTimersByTime(200);
+		await Promise.resolve();
+		await Promise.resolve();
+	}
+
+	/**
+	 * @return {Number} Position of the last scrollTo call
+	 */
+	function lastTarget() {
+		const calls = window.scrollTo.mock.calls;
+		return calls.length ? calls[calls.length - 1][0].top : null;
+	}
+
+	/**
+	 * Moves the mouse wheel
+	 * @param {Number} delta Positive values scroll down
+	 * @return {WheelEvent}
+	 */
+	function wheel(delta) {
+		const event = new WheelEvent('wheel', { deltaY: delta, cancelable: true });
+		window.dispatchEvent(event);
+		return event;
+	}
+
+	/**
+	 * Dispatches a touch event with a single finger
+	 * @param {String} type e.g. 'touchstart'
+	 * @param {Number} y Position of the finger inside the viewport
+	 * @return {Event}
+	 */
+	function touch(type, y) {
+		const event = new Event(type, { cancelable: true });
+		const touches = [{ clientX: 0, clientY: y }];
+		Object.defineProperty(event, 'touches', { value: type == 'touchend' ? [] : touches });
+		Object.defineProperty(event, 'changedTouches', { value: touches });
+		window.dispatchEvent(event);
+		return event;
+	}
+
+	/**
+	 * Presses a key
+	 * @param {String} key Value of KeyboardEvent.key
+	 * @return {KeyboardEvent}
+	 */
+	function press(key) {
+		const event = new KeyboardEvent('keydown', { key: key, bubbles: true, cancelable: true });
+		document.body.dispatchEvent(event);
+		return event;
+	}
+
+	test('turns exactly one page per wheel movement', async () => {
+		reaction = new ScrollReaction({ paging: true });
+
+		// A trackpad reports many events for a single movement
+		expect(wheel(40).defaultPrevented).toBe(true);
+		wheel(80);
+		wheel(20);
+		expect(window.scrollTo).toHaveBeenCalledTimes(1);
+		expect(lastTarget()).toBe(796);
+
+		await settle();
+		wheel(40);
+		expect(lastTarget()).toBe(1596);
+
+		await settle();
+		wheel(-40);
+		expect(lastTarget()).toBe(796);
+	});
+
+	test('keeps turning the page with the built-in animation, while the wheel keeps moving', () => {
+		reaction = new ScrollReaction({ paging: true, smoothScroll: 'js' });
+
+		// A single movement, the following events must not cancel the animation
+		wheel(40);
+		jest.advanceTimersByTime(60);
+		wheel(30);
+		jest.advanceTimersByTime(60);
+		wheel(10);
+		jest.advanceTimersByTime(1000);
+
+		expect(window.scrollY).toBe(796);
+		expect(reaction.getActive()).toBe('b');
+	});
+
+	test('turns the page after a swipe', async () => {
+		reaction = new ScrollReaction({ paging: true });
+
+		touch('touchstart', 500);
+		expect(touch('touchmove', 400).defaultPrevented).toBe(true);
+		touch('touchend', 300);
+		expect(lastTarget()).toBe(796);
+
+		// Taps aren't swipes
+		await settle();
+		touch('touchstart', 500);
+		touch('touchend', 495);
+		expect(window.scrollTo).toHaveBeenCalledTimes(1);
+	});
+
+	test('turns the page with arrow keys', async () => {
+		reaction = new ScrollReaction({ paging: true });
+
+		expect(press('ArrowDown').defaultPrevented).toBe(true);
+		expect(lastTarget()).toBe(796);
+
+		await settle();
+		press('PageUp');
+		expect(window.scrollY).toBe(0);
+	});
+
+	test('snaps to the nearest page, after the user has stopped scrolling', async () => {
+		reaction = new ScrollReaction({ paging: true });
+
+		page.scroll(1100);
+		jest.advanceTimersByTime(100);
+		expect(window.scrollTo).not.toHaveBeenCalled();
+
+		jest.advanceTimersByTime(100);
+		expect(lastTarget()).toBe(796);
+		expect(reaction.getActive()).toBe('b');
+
+		await settle();
+		page.scroll(1300);
+		jest.advanceTimersByTime(200);
+		expect(lastTarget()).toBe(1596);
+	});
+
+	test('does not snap, if the user prefers reduced motion', () => {
+		setup({ reducedMotion: true });
+		reaction = new ScrollReaction({ paging: true });
+
+		page.scroll(1100);
+		jest.advanceTimersByTime(200);
+		expect(window.scrollTo).not.toHaveBeenCalled();
+	});
+
+	test('leaves everything to CSS scroll snapping', () => {
+		document.documentElement.style.setProperty('scroll-snap-type', 'y mandatory');
+		reaction = new ScrollReaction({ paging: true });
+
+		expect(wheel(40).defaultPrevented).toBe(false);
+		expect(press('ArrowDown').defaultPrevented).toBe(false);
+		page.scroll(1100);
+		jest.advanceTimersByTime(200);
+		expect(window.scrollTo).not.toHaveBeenCalled();
+	});
+
+	test('scrolls pages, which are larger than the viewport, normally', async () => {
+		setup({
+			sections: [
+				{ id: 'a', height: 800 },
+				{ id: 'b', height: 2000 },
+				{ id: 'c', height: 800 }
+			]
+		});
+		reaction = new ScrollReaction({ paging: true });
+
+		wheel(40);
+		await settle();
+		expect(reaction.getActive()).toBe('b');
+
+		// The rest of page b is below the viewport
+		expect(wheel(40).defaultPrevented).toBe(false);
+		expect(press('ArrowDown').defaultPrevented).toBe(false);
+
+		// The user is reading page b, nothing snaps
+		page.scroll(1500);
+		jest.advanceTimersByTime(200);
+		expect(window.scrollTo).toHaveBeenCalledTimes(1);
+
+		// The end of page b has been reached
+		page.scroll(2000);
+		jest.advanceTimersByTime(200);
+		expect(wheel(40).defaultPrevented).toBe(true);
+		expect(lastTarget()).toBe(2796);
+	});
+
+	test('calls pagechange callbacks and updates the page property', () => {
+		const callback = jest.fn();
+		reaction = new ScrollReaction({ paging: true });
+		reaction.on('pagechange', callback);
+		expect(reaction.page).toBe(0);
+
+		press('ArrowDown');
+		jest.advanceTimersByTime(16);
+		expect(reaction.page).toBe(1);
+		expect(callback).toHaveBeenCalledTimes(1);
+		expect(callback).toHaveBeenCalledWith({
+			page: 1,
+			previousPage: 0,
+			id: 'b',
+			emitter: document.getElementById('b')
+		});
+	});
+});
@@ -0,0 +1,72 @@
+import ScrollReaction from '../src/scroll-reaction.js';
+import { createPage } from './helpers/page.js';
+
+describe('refresh', () => {
+	let page, reaction;
+
+	beforeEach(() => {
+		page = createPage({
+			sections: [
+				{ id: 'a', height: 1000 },
+				{ id: 'b', height: 1000 },
+				{ id: 'c', height: 1000 }
+			]
+		});
+	});
+
+	afterEach(() => {
+		reaction.destroy();
+	});
+
+	test('finds listener elements, which have been added after the initialization', () => {
+		reaction = new ScrollReaction();
+
+		// Listener elements can be linked by the attribute, if they don't have a href attribute
+		document.body.insertAdjacentHTML('beforeend', '<div id="label" data-scroll-reaction="b"></div>');
+		const label = document.getElementById('label');
+
+		page.scroll(1200);
+		reaction.update();
+		expect(label.hasAttribute('data-scroll-active')).toBe(false);
+
+		reaction.refresh();
+		expect(label.hasAttribute('data-scroll-active')).toBe(true);
+	});
+
+	test('forgets listener elements, which have been removed', () => {
+		reaction = new ScrollReaction();
+
+		const link = page.link('b');
+		link.parentNode.removeChild(link);
+		reaction.refresh();
+
+		page.scroll(1200);
+		reaction.update();
+		expect(link.hasAttribute('data-scroll-active')).toBe(false);
+	});
+
+	test('keeps the state of known emitter elements', () => {
+		const activate = jest.fn();
+		reaction = new ScrollReaction({ autoInit: false });
+		reaction.on('activate', activate);
+		reaction.init();
+
+		expect(activate).toHaveBeenCalledTimes(1);
+		expect(activate.mock.calls[0][0].id).toBe('a');
+
+		// The emitter element is still active, no event should be emitted again
+		reaction.refresh();
+		expect(activate).toHaveBeenCalledTimes(1);
+		expect(page.activeIds()).toEqual(['a']);
+	});
+
+	test('ignores listener elements without an emitter element', () => {
+		document.body.insertAdjacentHTML('beforeend', '<a id="orphan" href="#missing" data-scroll-reaction></a>');
+		reaction = new ScrollReaction();
+
+		page.scroll(2200);
+		reaction.refresh();
+		expect(page.activeIds()).toEqual(['c']);
+		expect(document.getElementById('orphan').hasAttribute('data-scroll-active')).toBe(false);
+	});
+});
@@ -0,0 +1,161 @@
+import ScrollReaction from '../src/scroll-reaction.js';
+import { createPage } from './helpers/page.js';
+
+describe('scheduler', () => {
+	let page, reaction;
+
+	beforeEach(() => {
+		jest.useFakeTimers();
+		page = createPage({
+			sections: [
+				{ id: 'a', height: 1000 },
+				{ id: 'b', height: 1000 },
+				{ id: 'c', height: 1000 }
+			]
+		});
+	});
+
+	afterEach(() => {
+		reaction.destroy();
+		document.documentElement.removeAttribute('data-scroll-direction');
+		jest.useRealTimers();
+	});
+
+	test('updates once per animation frame, no matter how many scroll events occur', () => {
+		const callback = jest.fn();
+		reaction = new ScrollReaction();
+		reaction.on('update', callback);
+		callback.mockClear();
+
+		page.scroll(100);
+		page.scroll(600);
+		page.scroll(1200);
+		expect(callback).not.toHaveBeenCalled();
+
+		jest.advanceTimersByTime(16);
+		expect(callback).toHaveBeenCalledTimes(1);
+		expect(reaction.position).toBe(1200);
+		expect(page.activeIds()).toEqual(['b']);
+	});
+
+	test('updates after the window has been resized', () => {
+		reaction = new ScrollReaction();
+		const update = jest.spyOn(reaction, 'update');
+
+		window.dispatchEvent(new Event('resize'));
+		jest.advanceTimersByTime(16);
+		expect(update).toHaveBeenCalledTimes(1);
+	});
+
+	test('postpones updates to a later frame with a throttleDelay', () => {
+		const callback = jest.fn();
+		reaction = new ScrollReaction({ throttleDelay: 100 });
+		reaction.on('update', callback);
+		callback.mockClear();
+
+		// The last update happened on initialization
+		page.scroll(1200);
+		jest.advanceTimersByTime(50);
+		expect(callback).not.toHaveBeenCalled();
+
+		jest.advanceTimersByTime(70);
+		expect(callback).toHaveBeenCalledTimes(1);
+		expect(page.activeIds()).toEqual(['b']);
+	});
+
+	test('measures everything before the DOM is changed', () => {
+		const calls = [];
+		reaction = new ScrollReaction({ attributeDirection: 'data-scroll-direction', attributeState: 'data-state' });
+
+		['a', 'b', 'c'].forEach(id => {
+			const element = document.getElementById(id);
+			const getBoundingClientRect = element.getBoundingClientRect;
+			element.getBoundingClientRect = () => {
+				calls.push('read');
+				return getBoundingClientRect();
+			};
+		});
+		const setAttribute = Element.prototype.setAttribute;
+		const write = jest.spyOn(Element.prototype, 'setAttribute').mockImplementation(function(name, value) {
+			calls.push('write');
+			setAttribute.call(this, name, value);
+		});
+
+		page.scroll(1200);
+		jest.advanceTimersByTime(16);
+		write.mockRestore();
+
+		expect(calls.indexOf('write')).toBeGreaterThan(calls.lastIndexOf('read'));
+	});
+
+	test('does not measure emitter elements again for activate callbacks', () => {
+		const callback = jest.fn();
+		reaction = new ScrollReaction();
+		reaction.on('activate', callback);
+		const measure = jest.spyOn(document.getElementById('b'), 'getBoundingClientRect');
+
+		page.scroll(1200);
+		jest.advanceTimersByTime(16);
+		expect(measure).not.toHaveBeenCalled();
+
+		// 1200px + 5px offset - 1000px top = 205px of 1000px - (800px - 5px - 5px) = 210px
+		expect(callback).toHaveBeenLastCalledWith(expect.objectContaining({ id: 'b', progress: 205 / 210 }));
+	});
+
+	test('changes the direction, after the user has scrolled back further than the tolerance', () => {
+		const callback = jest.fn();
+		reaction = new ScrollReaction({ attributeDirection: 'data-scroll-direction', directionTolerance: 50 });
+		reaction.on('directionchange', callback);
+
+		page.scroll(500);
+		jest.advanceTimersByTime(16);
+		expect(reaction.direction).toBe('down');
+
+		// Tiny jitters don't change the direction
+		page.scroll(470);
+		jest.advanceTimersByTime(16);
+		expect(reaction.direction).toBe('down');
+		expect(callback).not.toHaveBeenCalled();
+
+		page.scroll(440);
+		jest.advanceTimersByTime(16);
+		expect(reaction.direction).toBe('up');
+		expect(document.documentElement.getAttribute('data-scroll-direction')).toBe('up');
+		expect(callback).toHaveBeenCalledTimes(1);
+		expect(callback).toHaveBeenCalledWith({ direction: 'up', velocity: reaction.velocity });
+
+		page.scroll(600);
+		jest.advanceTimersByTime(16);
+		expect(reaction.direction).toBe('down');
+		expect(callback).toHaveBeenCalledTimes(2);
+	});
+
+	test('calculates the velocity in pixels per second', () => {
+		reaction = new ScrollReaction();
+
+		page.scroll(500);
+		reaction.update();
+
+		// 200px up within 200ms since the previous update
+		jest.setSystemTime(Date.now() + 200);
+		page.scroll(300);
+		reaction.update();
+		expect(reaction.velocity).toBe(-1000);
+
+		// No time has passed, e.g. two updates in the same frame
+		reaction.update();
+		expect(reaction.velocity).toBe(0);
+	});
+
+	test('cancels a scheduled update on destroy', () => {
+		const callback = jest.fn();
+		reaction = new ScrollReaction();
+		reaction.on('update', callback);
+		callback.mockClear();
+
+		page.scroll(1200);
+		reaction.destroy();
+		jest.advanceTimersByTime(16);
+		expect(callback).not.toHaveBeenCalled();
+	});
+});
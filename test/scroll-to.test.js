@@ -0,0 +1,160 @@
+import ScrollReaction from '../src/scroll-reaction.js';
+import { createPage } from './helpers/page.js';
+
+describe('scrollTo', () => {
+	let page, reaction;
+
+	/**
+	 * Creates the page for each test, the user may prefer reduced motion
+	 * @param {Boolean} reducedMotion
+	 */
+	function setup(reducedMotion) {
+		page = createPage({
+			sections: [
+				{ id: 'a', height: 1000 },
+				{ id: 'b', height: 1000 },
+				{ id: 'c', height: 1000 }
+			],
+			reducedMotion: reducedMotion
+		});
+	}
+
+	beforeEach(() => {
+		setup(false);
+		window.history.replaceState(null, null, '/');
+	});
+
+	afterEach(() => {
+		reaction.destroy();
+	});
+
+	test('scrolls to the element, respecting the top offset', async () => {
+		reaction = new ScrollReaction({ smoothScroll: false });
+
+		// 1000px - 5px offset + 1px to activate the element
+		await expect(reaction.scrollTo('b')).resolves.toBe(true);
+		expect(window.scrollTo).toHaveBeenLastCalledWith(0, 996);
+
+		reaction.update();
+		expect(page.activeIds()).toEqual(['b']);
+	});
+
+	test('scrolls to the top, if no ID is passed', async () => {
+		reaction = new ScrollReaction({ smoothScroll: false });
+		page.scroll(1200);
+		reaction.update();
+
+		await reaction.scrollTo();
+		expect(window.scrollTo).toHaveBeenLastCalledWith(0, 0);
+	});
+
+	test('scrolls smoothly', async () => {
+		reaction = new ScrollReaction({ smoothScroll: true, offsetTop: 100 });
+
+		await expect(reaction.scrollTo('b')).resolves.toBe(true);
+		expect(window.scrollTo).toHaveBeenLastCalledWith({ top: 901, left: 0, behavior: 'smooth' });
+	});
+
+	test('jumps to the element, if the user prefers reduced motion', async () => {
+		setup(true);
+		reaction = new ScrollReaction({ smoothScroll: true });
+
+		await reaction.scrollTo('b');
+		expect(window.scrollTo).toHaveBeenLastCalledWith(0, 996);
+	});
+
+	test('jumps to the element, if smooth is false', async () => {
+		reaction = new ScrollReaction({ smoothScroll: true });
+
+		await reaction.scrollTo('b', false);
+		expect(window.scrollTo).toHaveBeenLastCalledWith(0, 996);
+	});
+
+	test('focuses the element and adds a tabindex, if it is not focusable', async () => {
+		reaction = new ScrollReaction({ smoothScroll: false });
+		const section = document.getElementById('b');
+
+		await reaction.scrollTo('b');
+		expect(document.activeElement).toBe(section);
+		expect(section.getAttribute('tabindex')).toBe('-1');
+
+		// The added tabindex is removed again
+		reaction.destroy();
+		expect(section.hasAttribute('tabindex')).toBe(false);
+	});
+
+	test('keeps the tabindex of focusable elements', async () => {
+		reaction = new ScrollReaction({ smoothScroll: false });
+		const section = document.getElementById('b');
+		section.setAttribute('tabindex', '0');
+
+		await reaction.scrollTo('b');
+		expect(document.activeElement).toBe(section);
+
+		reaction.destroy();
+		expect(section.getAttribute('tabindex')).toBe('0');
+	});
+
+	test('animates the scroll position in browsers without animation frames', async () => {
+		jest.useFakeTimers();
+		const requestAnimationFrame = window.requestAnimationFrame;
+		const cancelAnimationFrame = window.cancelAnimationFrame;
+		window.requestAnimationFrame = undefined;
+		window.cancelAnimationFrame = undefined;
+		reaction = new ScrollReaction({ smoothScroll: 'js' });
+
+		const promise = reaction.scrollTo('b');
+		jest.advanceTimersByTime(1000);
+		await expect(promise).resolves.toBe(true);
+		expect(window.scrollY).toBe(996);
+
+		window.requestAnimationFrame = requestAnimationFrame;
+		window.cancelAnimationFrame = cancelAnimationFrame;
+		jest.useRealTimers();
+	});
+
+	test('replaces the URL hash without adding a history entry', async () => {
+		reaction = new ScrollReaction({ smoothScroll: false });
+		const length = window.history.length;
+
+		await reaction.scrollTo('b');
+		expect(window.location.hash).toBe('#b');
+		expect(window.history.length).toBe(length);
+
+		// Scrolling to the top removes the hash
+		await reaction.scrollTo();
+		expect(window.location.hash).toBe('');
+	});
+
+	test('adds a history entry, if the history option is set to push', async () => {
+		reaction = new ScrollReaction({ smoothScroll: false, history: 'push' });
+		const length = window.history.length;
+
+		await reaction.scrollTo('b');
+		expect(window.location.hash).toBe('#b');
+		expect(window.history.length).toBe(length + 1);
+	});
+
+	test('is called, if the user clicks on a link', () => {
+		const click = jest.fn();
+		reaction = new ScrollReaction({ smoothScroll: true });
+		reaction.on('click', click);
+
+		const event = new MouseEvent('click', { bubbles: true, cancelable: true });
+		page.link('c').dispatchEvent(event);
+
+		expect(event.defaultPrevented).toBe(true);
+		expect(click).toHaveBeenCalledTimes(1);
+		expect(window.scrollTo).toHaveBeenLastCalledWith({ top: 1996, left: 0, behavior: 'smooth' });
+	});
+
+	test('leaves links alone, if smoothScroll is false', () => {
+		reaction = new ScrollReaction({ smoothScroll: false });
+
+		const event = new MouseEvent('click', { bubbles: true, cancelable: true });
+		page.link('c').dispatchEvent(event);
+
+		expect(event.defaultPrevented).toBe(false);
+		expect(window.scrollTo).not.toHaveBeenCalled();
+	});
+});
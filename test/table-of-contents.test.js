@@ -0,0 +1,107 @@
+import ScrollReaction from '../src/scroll-reaction.js';
+import tableOfContents from '../src/table-of-contents.js';
+import { createPage, mockRect } from './helpers/page.js';
+
+describe('table of contents', () => {
+	let page, reaction;
+
+	beforeEach(() => {
+		page = createPage({
+			sections: [
+				{ id: 'a', height: 1000 },
+				{ id: 'b', height: 1000 },
+				{ id: 'c', height: 1000 }
+			]
+		});
+
+		// Replace the navigation, each section starts with a heading
+		document.querySelector('nav').innerHTML = '<h2>Contents</h2>';
+		document.querySelector('nav').id = 'toc';
+		addHeading('a', '<h2>Getting started</h2>', 0);
+		addHeading('b', '<h3>Über uns &amp; more</h3>', 1000);
+		addHeading('c', '<h2 id="usage">Usage</h2>', 2000);
+	});
+
+	afterEach(() => {
+		if (reaction) reaction.destroy();
+		reaction = null;
+	});
+
+	/**
+	 * Adds a heading to the top of a section
+	 * @param {String} id ID of the section
+	 * @param {String} html
+	 * @param {Number} top Position of the heading on the page in pixels
+	 */
+	function addHeading(id, html, top) {
+		const section = document.getElementById(id);
+		section.innerHTML = html;
+		mockRect(section.firstChild, top, 50, () => window.scrollY);
+	}
+
+	/**
+	 * Scrolls to a position and updates the instance immediately
+	 * @param {Number} y Scroll position in pixels
+	 */
+	function scroll(y) {
+		page.scroll(y);
+		reaction.update();
+	}
+
+	test('creates unique IDs from texts', () => {
+		expect(tableOfContents.slugify('Über uns & more')).toBe('uber-uns-more');
+		expect(tableOfContents.slugify('  ?! ')).toBe('section');
+
+		const heading = document.createElement('h2');
+		heading.textContent = 'Usage';
+		document.body.appendChild(heading);
+		expect(tableOfContents.identify(heading, document)).toBe('usage-2');
+		expect(tableOfContents.identify(heading, document)).toBe('usage-2');
+	});
+
+	test('builds a nested list of links', () => {
+		reaction = new ScrollReaction({ attributeCurrent: false });
+		const list = reaction.createTableOfContents('#toc');
+
+		expect(list.parentNode.id).toBe('toc');
+		expect(list.outerHTML).toBe(
+			'<ul>' +
+				'<li><a href="#getting-started" data-scroll-reaction="">Getting started</a>' +
+				'<ul><li><a href="#uber-uns-more" data-scroll-reaction="">Über uns &amp; more</a></li></ul>' +
+				'</li>' +
+				'<li><a href="#usage" data-scroll-reaction="">Usage</a></li>' +
+				'</ul>'
+		);
+		expect(document.getElementById('toc').getAttribute('aria-label')).toBe('Table of contents');
+	});
+
+	test('highlights the links immediately', () => {
+		reaction = new ScrollReaction();
+		reaction.createTableOfContents('#toc');
+
+		expect(page.activeIds()).toEqual(['getting-started']);
+		scroll(1200);
+		expect(page.activeIds()).toEqual(['uber-uns-more']);
+	});
+
+	test('replaces the previous list', () => {
+		reaction = new ScrollReaction();
+		reaction.createTableOfContents('#toc', { selector: 'h2' });
+		scroll(2200);
+		addHeading('b', '<h2>Changed</h2>', 1000);
+
+		reaction.createTableOfContents('#toc', { selector: 'h2' });
+		const links = document.querySelectorAll('#toc a');
+		expect(Array.prototype.map.call(links, link => link.textContent)).toEqual(['Getting started', 'Changed', 'Usage']);
+		expect(page.activeIds()).toEqual(['usage']);
+
+		scroll(1200);
+		expect(page.activeIds()).toEqual(['changed']);
+	});
+
+	test('returns null, if the target does not exist', () => {
+		reaction = new ScrollReaction();
+		expect(reaction.createTableOfContents('#missing')).toBe(null);
+		expect(reaction.createTableOfContents('#toc', { root: '#missing' })).toBe(null);
+	});
+});
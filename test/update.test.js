@@ -0,0 +1,262 @@
+import ScrollReaction from '../src/scroll-reaction.js';
+import { createPage, defineValue, defineGetter } from './helpers/page.js';
+
+describe('update', () => {
+	let page, reaction;
+
+	beforeEach(() => {
+		page = createPage({
+			sections: [
+				{ id: 'a', height: 1000 },
+				{ id: 'b', height: 1000 },
+				{ id: 'c', height: 1000 }
+			]
+		});
+	});
+
+	afterEach(() => {
+		reaction.destroy();
+	});
+
+	/**
+	 * Scrolls to a position and updates the instance immediately, without waiting for the throttled scroll handler
+	 * @param {Number} y Scroll position in pixels
+	 */
+	function scroll(y) {
+		page.scroll(y);
+		reaction.update();
+	}
+
+	test('activates the lowest emitter element, that has been reached', () => {
+		reaction = new ScrollReaction();
+
+		expect(page.activeIds()).toEqual(['a']);
+
+		scroll(1200);
+		expect(page.activeIds()).toEqual(['b']);
+
+		// The top offset (5px) is respected
+		scroll(1994);
+		expect(page.activeIds()).toEqual(['b']);
+		scroll(1995);
+		expect(page.activeIds()).toEqual(['c']);
+	});
+
+	test('updates the position and the status', () => {
+		reaction = new ScrollReaction();
+
+		scroll(1100);
+		expect(reaction.position).toBe(1100);
+		// 3000px page - 800px viewport = 2200px
+		expect(reaction.status).toBe(50);
+	});
+
+	test('activates the last emitter element at the bottom of the page', () => {
+		page = createPage({
+			sections: [
+				{ id: 'a', height: 1000 },
+				{ id: 'b', height: 1000 },
+				{ id: 'c', height: 300 }
+			]
+		});
+		reaction = new ScrollReaction();
+
+		// The highest scroll position is 2300px - 800px = 1500px, minus the default windowBottomOffset (20px)
+		scroll(1479);
+		expect(page.activeIds()).toEqual(['b']);
+		scroll(1480);
+		expect(page.activeIds()).toEqual(['c']);
+	});
+
+	test('activates the last emitter element earlier with a higher windowBottomOffset', () => {
+		page = createPage({
+			sections: [
+				{ id: 'a', height: 1000 },
+				{ id: 'b', height: 1000 },
+				{ id: 'c', height: 300 }
+			]
+		});
+		reaction = new ScrollReaction({ windowBottomOffset: 200 });
+
+		scroll(1299);
+		expect(page.activeIds()).toEqual(['b']);
+		scroll(1300);
+		expect(page.activeIds()).toEqual(['c']);
+	});
+
+	test('never activates an unreachable emitter element with a negative windowBottomOffset', () => {
+		page = createPage({
+			sections: [
+				{ id: 'a', height: 1000 },
+				{ id: 'b', height: 1000 },
+				{ id: 'c', height: 300 }
+			]
+		});
+		reaction = new ScrollReaction({ windowBottomOffset: -1 });
+
+		scroll(1500);
+		expect(page.activeIds()).toEqual(['b']);
+	});
+
+	test('deactivates emitter elements again by default', () => {
+		reaction = new ScrollReaction();
+
+		scroll(1200);
+		scroll(0);
+		expect(page.activeIds()).toEqual(['a']);
+	});
+
+	test('keeps emitter elements active, if rewind is false', () => {
+		reaction = new ScrollReaction({ rewind: false });
+
+		scroll(1200);
+		expect(page.activeIds()).toEqual(['a', 'b']);
+
+		scroll(0);
+		expect(page.activeIds()).toEqual(['a', 'b']);
+	});
+
+	test('activates all visible emitter elements, if multiple is true', () => {
+		reaction = new ScrollReaction({ multiple: true, offsetTop: 100, offsetBottom: 200 });
+
+		// Section a ends 100px below the top of the viewport, section b starts 200px above its bottom
+		scroll(850);
+		expect(page.activeIds()).toEqual(['a', 'b']);
+
+		// Section a ends above the top offset
+		scroll(901);
+		expect(page.activeIds()).toEqual(['b']);
+
+		// Section c starts at the bottom offset
+		scroll(1400);
+		expect(page.activeIds()).toEqual(['b', 'c']);
+	});
+
+	test('supports the deprecated offset option', () => {
+		reaction = new ScrollReaction({ offset: 300 });
+
+		scroll(699);
+		expect(page.activeIds()).toEqual(['a']);
+		scroll(700);
+		expect(page.activeIds()).toEqual(['b']);
+	});
+
+	test('supports the deprecated offsetFrom option', () => {
+		document.body.insertAdjacentHTML('afterbegin', '<header id="header"></header>');
+		defineValue(document.getElementById('header'), 'offsetHeight', 300);
+		reaction = new ScrollReaction({ offsetFrom: '#header' });
+
+		scroll(699);
+		expect(page.activeIds()).toEqual(['a']);
+		scroll(700);
+		expect(page.activeIds()).toEqual(['b']);
+	});
+
+	test('adds the deprecated offset to the height of the offsetFrom element', () => {
+		document.body.insertAdjacentHTML('afterbegin', '<header id="header"></header>');
+		defineValue(document.getElementById('header'), 'offsetHeight', 300);
+		reaction = new ScrollReaction({ offset: 50, offsetFrom: '#header' });
+
+		scroll(649);
+		expect(page.activeIds()).toEqual(['a']);
+		scroll(650);
+		expect(page.activeIds()).toEqual(['b']);
+	});
+
+	test('works without a config object', () => {
+		reaction = new ScrollReaction();
+
+		scroll(1200);
+		expect(page.activeIds()).toEqual(['b']);
+	});
+
+	test('finds the active emitter element, even if no attribute is added', () => {
+		reaction = new ScrollReaction({ attributeCurrent: false });
+
+		scroll(1200);
+		expect(page.activeIds()).toEqual([]);
+		expect(reaction.getActive()).toBe('b');
+		expect(reaction.getActivePath()).toEqual(['b']);
+	});
+
+	test('calls update callbacks on each update', () => {
+		const callback = jest.fn();
+		reaction = new ScrollReaction();
+		reaction.on('update', callback);
+
+		// Update callbacks are called once, when they are set
+		expect(callback).toHaveBeenCalledTimes(1);
+
+		reaction.update();
+		expect(callback).toHaveBeenCalledTimes(2);
+	});
+
+	test('removes callbacks', () => {
+		const first = jest.fn();
+		const second = jest.fn();
+		reaction = new ScrollReaction();
+		reaction.on('update', first);
+		reaction.on('update', second);
+		first.mockClear();
+		second.mockClear();
+
+		reaction.off('update', first);
+		reaction.update();
+		expect(first).not.toHaveBeenCalled();
+		expect(second).toHaveBeenCalledTimes(1);
+
+		// All callbacks of the event are removed without a callback
+		reaction.off('update');
+		reaction.update();
+		expect(second).toHaveBeenCalledTimes(1);
+	});
+
+	test('adds a class for the state of each emitter element', () => {
+		reaction = new ScrollReaction({ classState: { past: 'is-past', current: 'is-active', future: 'is-upcoming' } });
+
+		scroll(1200);
+		expect(page.link('a').className).toBe('is-past');
+		expect(page.link('b').className).toBe('is-active');
+		expect(page.link('c').className).toBe('is-upcoming');
+
+		scroll(0);
+		expect(page.link('a').className).toBe('is-active');
+		expect(page.link('b').className).toBe('is-upcoming');
+
+		reaction.destroy();
+		expect(page.link('a').className).toBe('');
+	});
+
+	test('works on the horizontal axis', () => {
+		let position = 0;
+		['a', 'b', 'c'].forEach((id, index) => {
+			document.getElementById(id).getBoundingClientRect = () => {
+				const x = index * 1000 - position;
+				return { top: 0, bottom: 800, left: x, right: x + 1000, width: 1000, height: 800 };
+			};
+		});
+		defineValue(document.documentElement, 'scrollWidth', 3000);
+		defineGetter(window, 'scrollX', () => position);
+		reaction = new ScrollReaction({ axis: 'x' });
+		expect(page.activeIds()).toEqual(['a']);
+
+		// 1000px - 5px offset from the left edge
+		position = 995;
+		reaction.update();
+		expect(page.activeIds()).toEqual(['b']);
+		expect(reaction.direction).toBe('right');
+
+		position = 500;
+		reaction.update();
+		expect(page.activeIds()).toEqual(['a']);
+		expect(reaction.direction).toBe('left');
+	});
+
+	test('does nothing after the instance has been destroyed', () => {
+		reaction = new ScrollReaction();
+		reaction.destroy();
+
+		scroll(1200);
+		expect(page.activeIds()).toEqual([]);
+	});
+});
@@ -0,0 +1,24 @@
+// Type definitions for require('scroll-reaction')
+// The CommonJS bundle exports the ScrollReaction class itself, the named exports of the ES module don't exist there
+
+import type * as Module from './index.js' with { 'resolution-mode': 'import' };
+
+declare const ScrollReaction: typeof Module.ScrollReaction;
+type ScrollReaction = Module.ScrollReaction;
+
+declare namespace ScrollReaction {
+	export type ScrollReactionState = Module.ScrollReactionState;
+	export type ScrollReactionDirection = Module.ScrollReactionDirection;
+	export type ScrollReactionEasing = Module.ScrollReactionEasing;
+	export type ScrollReactionConfig = Module.ScrollReactionConfig;
+	export type ScrollReactionOptions = Module.ScrollReactionOptions;
+	export type ScrollReactionDetails = Module.ScrollReactionDetails;
+	export type ScrollReactionKeyframe = Module.ScrollReactionKeyframe;
+	export type ScrollReactionAnimation = Module.ScrollReactionAnimation;
+	export type ScrollReactionTableOfContents = Module.ScrollReactionTableOfContents;
+	export type ScrollReactionDirectionDetails = Module.ScrollReactionDirectionDetails;
+	export type ScrollReactionPageDetails = Module.ScrollReactionPageDetails;
+	export type ScrollReactionEvents = Module.ScrollReactionEvents;
+}
+
+export = ScrollReaction;
@@ -0,0 +1,253 @@
+// Type definitions for scroll-reaction
+// Learn more: https://github.com/tpmatthes/scroll-reaction
+
+/**
+ * State of an emitter element, which is added to its listener elements
+ */
+export type ScrollReactionState = 'past' | 'current' | 'future';
+
+/**
+ * Scroll direction, 'left' and 'right' are used on the horizontal axis
+ */
+export type ScrollReactionDirection = 'up' | 'down' | 'left' | 'right';
+
+/**
+ * Name of a built-in easing function
+ */
+export type ScrollReactionEasing =
+	| 'linear'
+	| 'easeInQuad'
+	| 'easeOutQuad'
+	| 'easeInOutQuad'
+	| 'easeInCubic'
+	| 'easeOutCubic'
+	| 'easeInOutCubic';
+
+/**
+ * Configuration options, see default-config.js for details
+ */
+export interface ScrollReactionConfig {
+	/** Attribute to find listener elements, default: 'data-scroll-reaction' */
+	attribute: string;
+	/** Attribute for listener elements of active emitter elements, default: 'data-scroll-active' */
+	attributeCurrent: string | false;
+	/** Attribute for listener elements of emitter elements, which contain the active one, default: false */
+	attributeAncestor: string | false;
+	/** Attribute, whose value is the state of the linked emitter element, default: false */
+	attributeState: string | false;
+	/** Class names for each state of the linked emitter element, default: false */
+	classState: Partial<Record<ScrollReactionState, string>> | false;
+	/** Add aria-current to listener elements of the active emitter element, true means 'location', default: false */
+	ariaCurrent: boolean | string;
+	/** Announce the active emitter element in a live region, default: false */
+	announce: boolean | ((this: ScrollReaction, details: ScrollReactionDetails) => string);
+	/** Add attributes and classes to emitter elements as well, default: false */
+	markEmitters: boolean;
+	/** Prefix of the attributes for scroll-driven animations, e.g. data-scroll-from, default: 'data-scroll' */
+	attributeKeyframes: string | false;
+	/** Prefix of the attributes for options of single elements, e.g. data-scroll-offset, default: 'data-scroll' */
+	attributeOptions: string | false;
+	/** Initialize the instance automatically, default: true */
+	autoInit: boolean;
+	/** Scroll direction to react to, default: 'y' */
+	axis: 'x' | 'y';
+	/** Scrolling element or a selector, default: null (the window) */
+	container: string | HTMLElement | null;
+	/** Window, which contains listener and emitter elements, default: null (the global window) */
+	window: Window | null;
+	/** Document, which contains listener and emitter elements, default: null (the document of the window) */
+	document: Document | null;
+	/** How emitter elements are detected, default: 'scroll' */
+	detection: 'scroll' | 'intersection';
+	/** Attribute for the scroll direction on the container (or the html element), default: false */
+	attributeDirection: string | false;
+	/** Distance in pixels to scroll back before the direction changes, default: 10 */
+	directionTolerance: number;
+	/** Keep the URL hash in sync with the active emitter element, default: false */
+	history: boolean | 'replace' | 'push';
+	/** Keys to jump to the next and the previous emitter element, default: false */
+	keyboard: boolean | { next?: string[]; previous?: string[] };
+	/** Turn each emitter element into a page and snap to the nearest one, default: false */
+	paging: boolean;
+	/** Allow multiple active emitter elements, default: false */
+	multiple: boolean;
+	/** Track added and removed elements with a mutation observer, default: false */
+	observe: boolean;
+	/** Top offset in pixels or a function, that returns it, default: 5 */
+	offsetTop: number | ((this: ScrollReaction) => number);
+	/** Bottom offset in pixels or a function, that returns it, default: 5 */
+	offsetBottom: number | ((this: ScrollReaction) => number);
+	/** Fixed or sticky elements, whose height is added to the top offset while they cover the top, default: null */
+	offsetElements: string | HTMLElement | Array<string | HTMLElement> | null;
+	/** CSS custom property for the progress of the linked emitter element, default: false */
+	progressProperty: string | false;
+	/** Remove attributes again, if the user scrolls back, default: true */
+	rewind: boolean;
+	/** Smooth scrolling for listener links, default: 'auto' */
+	smoothScroll: boolean | 'auto' | 'js';
+	/** Duration of the built-in scroll animation in milliseconds, default: 500 */
+	duration: number;
+	/** Easing of the built-in scroll animation, default: 'easeInOutCubic' */
+	easing: ScrollReactionEasing | ((progress: number) => number);
+	/** Minimum time between updates on scroll in milliseconds, default: 0 (once per animation frame) */
+	throttleDelay: number;
+	/** Offset for activating the last emitter element at the end of the page, default: 20 */
+	windowBottomOffset: number;
+}
+
+/**
+ * Custom configuration, passed to the constructor
+ */
+export interface ScrollReactionOptions extends Partial<ScrollReactionConfig> {
+	/** @deprecated Use offsetTop instead */
+	offset?: number;
+	/** @deprecated Use offsetTop with a function instead */
+	offsetFrom?: string;
+}
+
+/**
+ * Passed to activate, deactivate and progress callbacks
+ */
+export interface ScrollReactionDetails {
+	/** ID of the emitter element */
+	id: string;
+	/** The emitter element */
+	emitter: HTMLElement;
+	/** All listener elements, that are linked to the emitter element */
+	listeners: HTMLElement[];
+	/** Current scroll direction */
+	direction: ScrollReactionDirection;
+	/** How far the user has scrolled through the emitter element (0-1) */
+	progress: number;
+}
+
+/**
+ * Keyframe of a scroll-driven animation, e.g. 'opacity: 0; translateY: 40px' or { opacity: 0, translateY: '40px' }
+ */
+export type ScrollReactionKeyframe = string | Record<string, string | number>;
+
+/**
+ * Passed to the animate method
+ */
+export interface ScrollReactionAnimation {
+	/** Keyframe at the start */
+	from?: ScrollReactionKeyframe;
+	/** Keyframe at the end */
+	to?: ScrollReactionKeyframe;
+	/** Scroll position in pixels, default: the element enters the viewport */
+	start?: number | ((this: ScrollReaction, element: HTMLElement) => number);
+	/** Scroll position in pixels, default: the element has left the viewport */
+	end?: number | ((this: ScrollReaction, element: HTMLElement) => number);
+	/** Easing of the animation, default: 'linear' */
+	easing?: ScrollReactionEasing | ((progress: number) => number);
+}
+
+/**
+ * Options of the createTableOfContents method
+ */
+export interface ScrollReactionTableOfContents {
+	/** Element or selector, which contains the headings, default: the container or the body */
+	root?: string | HTMLElement;
+	/** Selector for the headings, their level is read from the tag name or aria-level, default: 'h2, h3' */
+	selector?: string;
+	/** Accessible name of the target element, if it has none, default: 'Table of contents' */
+	label?: string;
+}
+
+/**
+ * Passed to directionchange callbacks
+ */
+export interface ScrollReactionDirectionDetails {
+	/** New scroll direction */
+	direction: ScrollReactionDirection;
+	/** Current scroll velocity in pixels per second */
+	velocity: number;
+}
+
+/**
+ * Passed to pagechange callbacks
+ */
+export interface ScrollReactionPageDetails {
+	/** Index of the active emitter element in document order, -1 if none is active */
+	page: number;
+	/** Index of the previous page */
+	previousPage: number;
+	/** ID of the active emitter element */
+	id: string | null;
+	/** The active emitter element */
+	emitter: HTMLElement | null;
+}
+
+/**
+ * Callbacks for each event
+ */
+export interface ScrollReactionEvents {
+	update: () => void;
+	click: () => void;
+	activate: (details: ScrollReactionDetails) => void;
+	deactivate: (details: ScrollReactionDetails) => void;
+	progress: (details: ScrollReactionDetails) => void;
+	directionchange: (details: ScrollReactionDirectionDetails) => void;
+	pagechange: (details: ScrollReactionPageDetails) => void;
+}
+
+export class ScrollReaction {
+	constructor(userConfig?: ScrollReactionOptions);
+
+	/** Current scroll position in pixels */
+	position: number;
+	/** Current scroll position in percent (0-100) */
+	status: number;
+	/** Current scroll direction */
+	direction: ScrollReactionDirection;
+	/** Current scroll velocity in pixels per second, negative values mean up (or left) */
+	velocity: number;
+	/** Index of the active emitter element in document order, only updated in paging mode */
+	page: number;
+
+	/** Initializes everything, called automatically unless autoInit is false or there is no DOM */
+	init(): void;
+	/** Removes everything Scroll Reaction has added to the DOM */
+	destroy(): void;
+	/** Finds all listener and emitter elements in the DOM again and measures their positions */
+	refresh(): void;
+	/** Updates everything to reflect the current scroll position */
+	update(): void;
+	/** How far the user has scrolled through an emitter element (0-1) */
+	getProgress(id: string): number;
+	/** Scrolls to an element, resolves with false, if scrolling has been interrupted */
+	scrollTo(id?: string, smooth?: boolean): Promise<boolean>;
+	/** Scrolls to the next emitter element in document order */
+	next(): Promise<boolean>;
+	/** Scrolls to the previous emitter element in document order */
+	previous(): Promise<boolean>;
+	/** ID of the active emitter element, the lowest one if multiple are active */
+	getActive(): string | null;
+	/** IDs of the active emitter element and its ancestors, the outermost one first */
+	getActivePath(): string[];
+	/** Animates styles of an element between two keyframes while scrolling, returns a function to stop it */
+	animate(element: string | HTMLElement, options: ScrollReactionAnimation): () => void;
+	/** Generates a nested list of links to the headings inside the target, returns the list */
+	createTableOfContents(target: string | HTMLElement, options?: ScrollReactionTableOfContents): HTMLUListElement | null;
+	/** Sets a callback for an event */
+	on<K extends keyof ScrollReactionEvents>(
+		name: K,
+		callback: (this: ScrollReaction, ...args: Parameters<ScrollReactionEvents[K]>) => void
+	): void;
+	/** Removes a callback or all callbacks for an event */
+	off<K extends keyof ScrollReactionEvents>(name: K, callback?: Function): void;
+	/** Calls all callbacks for an event */
+	emit<K extends keyof ScrollReactionEvents>(name: K, details?: Parameters<ScrollReactionEvents[K]>[0]): void;
+}
+
+/**
+ * Debounces or throttles a function
+ */
+export function defer<T>(callback: (this: T) => void, context: T, interval: number, debounce?: boolean): () => void;
+
+/**
+ * Default configuration, shared by all instances
+ */
+export const defaultConfig: ScrollReactionConfig;
+
+export default ScrollReaction;
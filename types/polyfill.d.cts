@@ -0,0 +1,6 @@
+// Type definitions for require('scroll-reaction/polyfill')
+// Same API as the main entry, with smoothScroll set to true by default
+
+import ScrollReaction = require('./index.cjs');
+
+export = ScrollReaction;
@@ -0,0 +1,7 @@
+// Type definitions for scroll-reaction/polyfill
+// Same API as the main entry, with smoothScroll set to true by default
+
+import { ScrollReaction } from './index.js';
+
+export * from './index.js';
+export default ScrollReaction;